@@ -9,30 +9,74 @@ import svgr from '@svgr/rollup'
 
 import pkg from './package.json'
 
-export default {
-  input: pkg.source,
-  output: [
-    {
-      file: pkg.browser,
-      format: 'es',
-      sourcemap: true
+const externals = [
+  ...Object.keys(pkg.dependencies),
+  ...Object.keys(pkg.peerDependencies),
+]
+
+export default [
+  {
+    input: pkg.source,
+    output: [
+      {
+        file: pkg.browser,
+        format: 'es',
+        sourcemap: true
+      }
+    ],
+    external: externals,
+    plugins: [
+      external(),
+      postcss({ modules: false }),
+      url(),
+      json(),
+      svgr(),
+      babel({ exclude: 'node_modules/**' }),
+      resolve(),
+      commonjs()
+    ],
+    watch: {
+      include: 'src/**',
+    }
+  },
+  {
+    // loaded by SolidityDiagnostics with `new URL('./lint.worker.js', import.meta.url)`
+    input: 'src/solidity/lint.worker.js',
+    output: [
+      {
+        file: 'dist/lint.worker.js',
+        format: 'es',
+        sourcemap: true
+      }
+    ],
+    external: externals,
+    plugins: [
+      external(),
+      json(),
+      babel({ exclude: 'node_modules/**' }),
+      resolve(),
+      commonjs()
+    ],
+    watch: {
+      include: 'src/**',
+    }
+  },
+  {
+    // loaded by compileDiagnostics with `new URL('./compile.worker.js', import.meta.url)` as a classic worker,
+    // so it can load solc-js builds with importScripts
+    input: 'src/solidity/compile.worker.js',
+    output: [
+      {
+        file: 'dist/compile.worker.js',
+        format: 'iife',
+        sourcemap: true
+      }
+    ],
+    plugins: [
+      babel({ exclude: 'node_modules/**' }),
+    ],
+    watch: {
+      include: 'src/**',
     }
-  ],
-  external: [
-    ...Object.keys(pkg.dependencies),
-    ...Object.keys(pkg.peerDependencies),
-  ],
-  plugins: [
-    external(),
-    postcss({ modules: false }),
-    url(),
-    json(),
-    svgr(),
-    babel({ exclude: 'node_modules/**' }),
-    resolve(),
-    commonjs()
-  ],
-  watch: {
-    include: 'src/**',
   }
-}
+]
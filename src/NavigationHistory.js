@@ -0,0 +1,86 @@
+// oldest locations are dropped past this
+const MAX_LOCATIONS = 50
+
+/**
+ * Locations the cursor jumped from, to go back and forward through them like a browser. A location is the resource
+ * of a model and the selection in it.
+ */
+export class NavigationHistory {
+  constructor () {
+    this.backStack = []
+    this.forwardStack = []
+  }
+
+  get canGoBack() {
+    return this.backStack.length > 0
+  }
+
+  get canGoForward() {
+    return this.forwardStack.length > 0
+  }
+
+  /**
+   * Record a jump e.g. to a definition. Going forward is no longer possible after a new jump. Jumps within a line are
+   * left out.
+   *
+   * @param {{ resource: monaco.Uri, selection: monaco.Selection }} from the location the cursor jumps from
+   * @param {{ resource: monaco.Uri, selection: monaco.Selection }} to the location the cursor lands on
+   * @memberof NavigationHistory
+   */
+  push(from, to) {
+    if (to && isSameLine(from, to)) {
+      return
+    }
+    const last = this.backStack[this.backStack.length - 1]
+    if (!last || !isSameLine(last, from)) {
+      this.backStack.push(from)
+      this.backStack.splice(0, this.backStack.length - MAX_LOCATIONS)
+    }
+    this.forwardStack = []
+  }
+
+  /**
+   * @param {{ resource: monaco.Uri, selection: monaco.Selection }} current the location going back from, to come
+   * back to when going forward
+   * @returns {{ resource: monaco.Uri, selection: monaco.Selection }} the location to go back to, if any
+   * @memberof NavigationHistory
+   */
+  back(current) {
+    return move(this.backStack, this.forwardStack, current)
+  }
+
+  /**
+   * @param {{ resource: monaco.Uri, selection: monaco.Selection }} current the location going forward from
+   * @returns {{ resource: monaco.Uri, selection: monaco.Selection }} the location to go forward to, if any
+   * @memberof NavigationHistory
+   */
+  forward(current) {
+    return move(this.forwardStack, this.backStack, current)
+  }
+
+  clear() {
+    this.backStack = []
+    this.forwardStack = []
+  }
+}
+
+function isSameLine (a, b) {
+  return a.resource.toString() === b.resource.toString() &&
+    a.selection.positionLineNumber === b.selection.positionLineNumber
+}
+
+function move (from, to, current) {
+  let location = from.pop()
+  if (current) {
+    // skip the locations where the cursor already is
+    while (location && isSameLine(location, current)) {
+      location = from.pop()
+    }
+    if (location) {
+      to.push(current)
+    }
+  }
+  return location
+}
+
+export default new NavigationHistory()
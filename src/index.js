@@ -1,7 +1,9 @@
 import overrides from './overrides'
+import navigationHistory from './NavigationHistory'
 import solidity from './solidity'
 
 export default {
   overrides,
+  navigationHistory,
   solidity,
 }
\ No newline at end of file
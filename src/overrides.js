@@ -1,11 +1,16 @@
+import * as monaco from 'monaco-editor'
 import { ImmortalReference } from 'monaco-editor/esm/vs/base/common/lifecycle.js'
 import { isCodeEditor } from 'monaco-editor/esm/vs/editor/browser/editorBrowser.js'
-import { SimpleModel, SimpleEditorModelResolverService } from 'monaco-editor/esm/vs/editor/standalone/browser/simpleServices'
+import { EmbeddedCodeEditorWidget } from 'monaco-editor/esm/vs/editor/browser/widget/embeddedCodeEditorWidget.js'
+import { SimpleModel, SimpleEditorModelResolverService, SimpleBulkEditService } from 'monaco-editor/esm/vs/editor/standalone/browser/simpleServices'
 import { StaticServices } from 'monaco-editor/esm/vs/editor/standalone/browser/standaloneServices'
 
 import { modelSessionManager } from '@obsidians/code-editor'
 
-const delay = ms => new Promise(resolve => setTimeout(resolve, ms))
+import navigationHistory from './NavigationHistory'
+
+// give up on an opened file that never shows up in an editor e.g. the tab failed to load
+const OPEN_TIMEOUT = 10000
 
 function withTypedEditor(widget, codeEditorCallback, diffEditorCallback) {
   return isCodeEditor(widget) ? codeEditorCallback(widget) : diffEditorCallback(widget)
@@ -16,7 +21,8 @@ SimpleEditorModelResolverService.prototype.createModelReference = async function
     model = await withTypedEditor(
       this.editor,
       editor => this.findModel(editor, resource) ,
-      diffEditor => this.findModel(diffEditor.getOriginalEditor(), resource) || this.findModel(diffEditor.getModifiedEditor(), resource)
+      async diffEditor => await this.findModel(diffEditor.getOriginalEditor(), resource) ||
+        this.findModel(diffEditor.getModifiedEditor(), resource)
     )
   }
   if (!model) {
@@ -25,6 +31,11 @@ SimpleEditorModelResolverService.prototype.createModelReference = async function
   return new ImmortalReference(new SimpleModel(model))
 }
 SimpleEditorModelResolverService.prototype.findModel = async function (editor, resource) {
+  // the peek widget previews the other side of a diff editor, whose model may not come from a model session
+  const editorModel = editor.getModel()
+  if (editorModel && editorModel.uri.toString() === resource.toString()) {
+    return editorModel
+  }
   let model = this.modelService && this.modelService.getModel(resource)
   if (!model) {
     const modelSession = await modelSessionManager.newModelSession(resource.path)
@@ -36,25 +47,132 @@ SimpleEditorModelResolverService.prototype.findModel = async function (editor, r
   return model
 }
 
+const apply = SimpleBulkEditService.prototype.apply
+SimpleBulkEditService.prototype.apply = async function (edits, options) {
+  // workspace edits (e.g. rename) may touch files without an open tab, create their model sessions first
+  const resources = (edits.edits || edits).map(edit => edit.resource).filter(Boolean)
+  for (const resource of resources) {
+    if (!this._modelService.getModel(resource)) {
+      await modelSessionManager.newModelSession(resource.path)
+    }
+  }
+  return apply.apply(this, [edits, options])
+}
+
 const codeEditorService = StaticServices.codeEditorService.get()
 const openCodeEditor = codeEditorService.openCodeEditor
 codeEditorService.openCodeEditor = async function (option, editor, sideBySide) {
-  if (modelSessionManager.currentModelSession?.model.uri.toString() === option.resource.toString()) {
-    return openCodeEditor.apply(this, [option, editor, sideBySide])
+  // every jump e.g. to a definition, a reference or a symbol is recorded to go back to
+  const from = locationOf(editor)
+  const targetEditor = await openEditor(this, option, editor, sideBySide)
+  if (targetEditor && from) {
+    navigationHistory.push(from, locationOf(targetEditor))
   }
-  const filePath = option.resource.path
-  if (filePath && await modelSessionManager.projectManager.isFile(filePath)) {
-    modelSessionManager.openFile(filePath)
+  return targetEditor
+}
+
+async function openEditor(service, option, editor, sideBySide) {
+  // the target is in the editor itself or on the other side of its diff editor
+  const sameTab = [editor, ...findDiffSides(service, editor)].find(candidate => hasModel(candidate, option.resource))
+  if (sameTab) {
+    return openCodeEditor.apply(service, [option, sameTab, sideBySide])
   }
 
-  await delay(300)
+  const filePath = option.resource.path
+  if (!filePath || !await modelSessionManager.projectManager.isFile(filePath)) {
+    return null
+  }
+  const opened = waitForEditor(service, option.resource)
+  await modelSessionManager.openFile(filePath)
+  const targetEditor = await opened
+  return targetEditor && openCodeEditor.apply(service, [option, targetEditor, sideBySide])
+}
 
-  const selection = option.options?.selection
-  if (selection) {
-    editor.setSelection(selection)
-    editor.revealRangeInCenter(selection, 1)
+/**
+ * Go back or forward to a recorded location, restoring both the file and the selection
+ *
+ * @param {monaco.editor.ICodeEditor} editor
+ * @param {boolean} isBack
+ */
+async function navigate(editor, isBack) {
+  const current = locationOf(editor)
+  const location = isBack ? navigationHistory.back(current) : navigationHistory.forward(current)
+  if (location) {
+    // not a jump itself, the history is left as it is
+    await openEditor(codeEditorService, { resource: location.resource, options: { selection: location.selection } }, editor)
   }
-  return editor
+}
+
+monaco.editor.onDidCreateEditor(editor => {
+  // the editor is still being constructed
+  Promise.resolve().then(() => {
+    editor.addAction({
+      id: 'editor.action.navigateBack',
+      label: 'Go Back',
+      keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyMod.Alt | monaco.KeyCode.US_MINUS],
+      run: editor => navigate(editor, true),
+    })
+    editor.addAction({
+      id: 'editor.action.navigateForward',
+      label: 'Go Forward',
+      keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyMod.Shift | monaco.KeyCode.US_MINUS],
+      run: editor => navigate(editor, false),
+    })
+  })
+})
+
+function locationOf(editor) {
+  const model = editor && editor.getModel()
+  const selection = editor && editor.getSelection()
+  return model && model.uri && selection ? { resource: model.uri, selection } : undefined
+}
+
+function hasModel(editor, resource) {
+  const model = editor.getModel()
+  return Boolean(model && model.uri && model.uri.toString() === resource.toString())
+}
+
+function findDiffSides(service, editor) {
+  const diffEditor = service.listDiffEditors().find(diffEditor =>
+    diffEditor.getOriginalEditor() === editor || diffEditor.getModifiedEditor() === editor
+  )
+  return diffEditor ? [diffEditor.getOriginalEditor(), diffEditor.getModifiedEditor()] : []
+}
+
+/**
+ * Wait until an editor shows the model of a resource, after its file is opened in a tab. Peek widgets are left out,
+ * they may preview the same model.
+ *
+ * @param {*} service code editor service
+ * @param {monaco.Uri} resource
+ * @returns {Promise<monaco.editor.ICodeEditor>} the editor, or `null` if none shows the model in time
+ */
+function waitForEditor(service, resource) {
+  const isTarget = editor => !(editor instanceof EmbeddedCodeEditorWidget) && hasModel(editor, resource)
+  return new Promise(resolve => {
+    const disposables = []
+    const done = editor => {
+      disposables.forEach(disposable => disposable.dispose())
+      clearTimeout(timer)
+      resolve(editor)
+    }
+    const timer = setTimeout(() => done(service.listCodeEditors().find(isTarget) || null), OPEN_TIMEOUT)
+    const watch = editor => disposables.push(editor.onDidChangeModel(() => isTarget(editor) && done(editor)))
+    service.listCodeEditors().forEach(watch)
+    disposables.push(service.onCodeEditorAdd(editor => {
+      watch(editor)
+      if (isTarget(editor)) {
+        done(editor)
+      }
+    }))
+    // the tab may already be open, in which case no model changes
+    setTimeout(() => {
+      const editor = service.listCodeEditors().find(isTarget)
+      if (editor) {
+        done(editor)
+      }
+    })
+  })
 }
 
 export default codeEditorService
@@ -0,0 +1,54 @@
+import { modelSessionManager } from '@obsidians/code-editor'
+
+import symbolIndex from './SymbolIndex'
+import { resolveImportPath } from './remappings'
+
+export default class Contract {
+  static async import(importPath, model) {
+    const filePath = await resolveImportPath(importPath, model)
+    if (!filePath) {
+      return
+    }
+    return new Contract(filePath)
+  }
+
+  /**
+   * Resolve the transitive imports of a model. Each file is visited only once, so circular imports are fine. The
+   * imports of each file are resolved once per version, see `SymbolIndex.resolveImports`.
+   *
+   * @param {monaco.editor.ITextModel} model model to start from
+   * @param {Array<any>} statements top level statements of the model
+   * @returns {Promise<Array<{ model: monaco.editor.ITextModel, statements: Array<any> }>>} the model itself first,
+   * followed by every file it imports directly or indirectly
+   */
+  static async importAll(model, statements) {
+    const sources = [{ model, statements }]
+    const visited = new Set([model.uri.path])
+    for (let i = 0; i < sources.length; i++) {
+      for (const filePath of await symbolIndex.resolveImports(sources[i].model, sources[i].statements)) {
+        if (visited.has(filePath)) {
+          continue
+        }
+        visited.add(filePath)
+        const source = await symbolIndex.loadSource(filePath)
+        if (source) {
+          sources.push(source)
+        }
+      }
+    }
+    return sources
+  }
+
+  constructor (filePath) {
+    this.filePath = filePath
+    this.imports = []
+  }
+
+  get model () {
+    return modelSessionManager.newModelSession(this.filePath).then(modelSession => modelSession.model)
+  }
+
+  get code () {
+    return this.model.then(model => model.getValue())
+  }
+}
@@ -0,0 +1,428 @@
+import * as monaco from 'monaco-editor'
+import { IQuickInputService } from 'monaco-editor/esm/vs/platform/quickinput/common/quickInput'
+import { SymbolKinds } from 'monaco-editor/esm/vs/editor/common/modes'
+
+import { BaseProjectManager } from '@obsidians/workspace'
+
+import codeEditorService from '../overrides'
+import Contract from './Contract'
+import symbolIndex from './SymbolIndex'
+import SolidityImplementationProvider from './SolidityImplementationProvider'
+import { walk, isFunctionLike, findEnclosingFunction, findNameOffset } from './ast'
+import { findLocalDeclaration } from './scope'
+import {
+  findDeclaration,
+  findUserType,
+  findInheritanceChain,
+  findInheritedMembers,
+  findOverrides,
+  inferType,
+  findMembers,
+} from './types'
+
+const SYMBOL_KINDS = {
+  ContractStatement: monaco.languages.SymbolKind.Class,
+  FunctionDeclaration: monaco.languages.SymbolKind.Method,
+  ConstructorDeclaration: monaco.languages.SymbolKind.Constructor,
+  FallbackDeclaration: monaco.languages.SymbolKind.Method,
+  ReceiveDeclaration: monaco.languages.SymbolKind.Method,
+  ModifierDeclaration: monaco.languages.SymbolKind.Method,
+  EventDeclaration: monaco.languages.SymbolKind.Event,
+  ErrorDeclaration: monaco.languages.SymbolKind.Event,
+  StateVariableDeclaration: monaco.languages.SymbolKind.Field,
+}
+
+// names of the functions declared without one
+const UNNAMED_FUNCTIONS = {
+  ConstructorDeclaration: 'constructor',
+  FallbackDeclaration: 'fallback',
+  ReceiveDeclaration: 'receive',
+}
+
+// declarations the hierarchy can start from, besides the function surrounding the cursor
+const TARGET_TYPES = ['FunctionDeclaration', 'ModifierDeclaration', 'EventDeclaration', 'ErrorDeclaration']
+
+// what a name followed by arguments can call, struct constructions and type conversions are not calls
+const CALLEE_TYPES = ['FunctionDeclaration', 'EventDeclaration', 'ErrorDeclaration']
+
+// members of `address` that call another account
+const LOW_LEVEL_CALLS = ['call', 'delegatecall', 'staticcall', 'send', 'transfer']
+
+export default class SolidityCallHierarchyProvider {
+  constructor () {
+    this.implementationProvider = new SolidityImplementationProvider()
+  }
+
+  /**
+   * Find the function, modifier, event or error under cursor, or else the function surrounding the cursor
+   *
+   * @param {monaco.editor.ITextModel} model
+   * @param {monaco.Position} position
+   * @returns {Promise<*>} the item the hierarchy starts from, see `toItem`
+   * @memberof SolidityCallHierarchyProvider
+   */
+  async prepareCallHierarchy(model, position) {
+    const result = symbolIndex.parse(model)
+    if (!result) {
+      return
+    }
+    const target = await this.implementationProvider.findTarget(model, position, TARGET_TYPES)
+    if (target) {
+      return toItem(target.node, { model: target.model, statements: symbolIndex.parse(target.model).body })
+    }
+    const func = findEnclosingFunction(result.body, model.getOffsetAt(position))
+    return func && toItem(func, { model, statements: result.body })
+  }
+
+  /**
+   * Find the functions, modifiers and constructors calling an item, in every file of the project. Calls to an
+   * override of a function count too, since a call runs the most derived implementation.
+   *
+   * @param {*} item see `toItem`
+   * @returns {Promise<Array<{ from: *, fromRanges: monaco.Range[] }>>} the callers and where they make the calls
+   * @memberof SolidityCallHierarchyProvider
+   */
+  async provideIncomingCalls(item) {
+    const { node } = item
+    if (node.type === 'FallbackDeclaration' || node.type === 'ReceiveDeclaration' || !item.source.statements) {
+      return []
+    }
+    const sources = await this.implementationProvider.loadSources(item.source.model)
+    const targets = new Set([node])
+    if (node.type === 'FunctionDeclaration' || node.type === 'ModifierDeclaration') {
+      findOverrides(sources, node).forEach(({ node }) => targets.add(node))
+    }
+    // constructors are called by the name of their contract
+    const name = node.name || findContainer(item.source.statements, node).name
+
+    const calls = []
+    for (const source of sources) {
+      if (!source.model.getValue().includes(name)) {
+        continue
+      }
+      const fileSources = await Contract.importAll(source.model, source.statements)
+      forEachFunction(source.statements, func => {
+        const fromRanges = this.findCalls(func, source, fileSources)
+          .filter(call => targets.has(call.node))
+          .map(call => toRange(source.model, call.start, call.start + call.name.length))
+        if (fromRanges.length) {
+          calls.push({ from: toItem(func, source), fromRanges })
+        }
+      })
+    }
+    return calls
+  }
+
+  /**
+   * Find what a function, modifier or constructor calls: functions, modifiers, base constructors, contract creations,
+   * events and errors. Calls to other contracts, including `this.f()` and low-level calls on addresses, are marked
+   * as external calls.
+   *
+   * @param {*} item see `toItem`
+   * @returns {Promise<Array<{ to: *, fromRanges: monaco.Range[] }>>} the callees and where the item calls them
+   * @memberof SolidityCallHierarchyProvider
+   */
+  async provideOutgoingCalls(item) {
+    const { node, source } = item
+    if (!isFunctionLike(node) || !source.statements) {
+      return []
+    }
+    const sources = await Contract.importAll(source.model, source.statements)
+    const calls = new Map()
+    this.findCalls(node, source, sources).forEach(call => {
+      const fromRange = toRange(source.model, call.start, call.start + call.name.length)
+      // low-level calls have no declaration, each one is listed
+      const key = call.node || call
+      if (!calls.has(key)) {
+        const to = call.node
+          ? toItem(call.node, call.source, call.external)
+          : {
+              name: call.name,
+              kind: monaco.languages.SymbolKind.Function,
+              detail: 'low-level call',
+              uri: source.model.uri,
+              range: fromRange,
+              selectionRange: fromRange,
+              source,
+            }
+        calls.set(key, { to, fromRanges: [] })
+      } else if (call.external) {
+        calls.get(key).to = toItem(call.node, call.source, true)
+      }
+      calls.get(key).fromRanges.push(fromRange)
+    })
+    return [...calls.values()]
+  }
+
+  /**
+   * Find the calls made in a function-like declaration, including the modifiers and base constructors in its header
+   *
+   * @private
+   * @param {*} func function-like declaration
+   * @param {{ model: monaco.editor.ITextModel, statements: Array<any> }} source the source of the declaration
+   * @param {Array<any>} sources the source and its imports, as returned by `Contract.importAll`
+   * @returns {Array<{ name: string, start: number, node?: *, source?: *, external: boolean }>} the name of each callee
+   * at the call, the offset of the name, and the declaration it resolves to if there is one
+   * @memberof SolidityCallHierarchyProvider
+   */
+  findCalls(func, source, sources) {
+    const code = source.model.getValue()
+    const contract = findContainer(source.statements, func)
+    const chain = contract ? findInheritanceChain(sources, contract) : []
+    const calls = []
+
+    const modifiers = (func.modifiers || []).filter(({ type }) => type === 'ModifierArgument')
+    modifiers.forEach(modifier => {
+      const [declaration] = findInheritedMembers(sources, chain, modifier.name, ['ModifierDeclaration'])
+      // base constructor e.g. `constructor() ERC20("Token", "TKN")`
+      const base = !declaration && findDeclaration(sources, modifier.name, ['ContractStatement'])
+      const callee = declaration || (base && findConstructor(base))
+      if (callee) {
+        calls.push({ ...callee, name: modifier.name, start: modifier.start, external: false })
+      }
+    })
+
+    walk(func.body, element => {
+      if (element.type === 'NewExpression') {
+        const name = element.callee && element.callee.literal
+        const declaration = typeof name === 'string' && findUserType(sources, name, chain)
+        if (declaration && declaration.node.type === 'ContractStatement') {
+          calls.push({ ...findConstructor(declaration), name, start: element.callee.start, external: true })
+        }
+      } else if (element.type === 'CallExpression' && !isCallOptions(element)) {
+        const call = this.resolveCall(element, { contract, chain, func, offset: element.start }, sources, code)
+        if (call) {
+          calls.push(call)
+        }
+      }
+    })
+    return calls
+  }
+
+  /**
+   * @private
+   * @param {*} call `CallExpression` node
+   * @param {*} scope see `findScope`
+   * @param {Array<any>} sources
+   * @param {string} code code of the file where the call is
+   * @returns {{ name: string, start: number, node?: *, source?: *, external: boolean }} see `findCalls`
+   * @memberof SolidityCallHierarchyProvider
+   */
+  resolveCall(call, scope, sources, code) {
+    // call options e.g. `token.transfer{gas: 5000}(to, amount)`
+    const callee = isCallOptions(call.callee) ? call.callee.callee : call.callee
+    const argumentCount = call.arguments.length
+
+    if (callee.type === 'Identifier') {
+      if (findLocalDeclaration(scope.func, callee.name, scope.offset)) {
+        // a variable of function type
+        return
+      }
+      let members = findInheritedMembers(sources, scope.chain, callee.name, CALLEE_TYPES)
+      if (!members.length) {
+        // free functions, and events and errors declared at the top level
+        const declaration = findDeclaration(sources, callee.name, CALLEE_TYPES)
+        members = declaration ? [declaration] : []
+      }
+      const [member] = findOverload(members, argumentCount)
+      return member && { ...member, name: callee.name, start: callee.start, external: false }
+    }
+
+    if (callee.type === 'MemberExpression' && !callee.computed) {
+      const { name } = callee.property
+      const objectType = inferType(callee.object, scope, sources)
+      const members = objectType
+        ? findMembers(objectType, name, scope, sources)
+          .filter(({ node }) => [...CALLEE_TYPES, 'StateVariableDeclaration'].includes(node.type))
+        : []
+      const [member] = findOverload(members, argumentCount)
+      if (member) {
+        // anything called through an instance of a contract e.g. `token.transfer(to, amount)` or `this.f()`
+        const external = objectType.kind === 'contract' && !objectType.isStatic &&
+          objectType.node.type !== 'LibraryStatement'
+        return { ...member, name, start: callee.property.start, external }
+      }
+      if (LOW_LEVEL_CALLS.includes(name) && (!objectType || objectType.kind === 'elementary')) {
+        return { name: code.slice(callee.start, callee.property.end), start: callee.start, external: true }
+      }
+    }
+  }
+
+  /**
+   * Show the callers or the callees of the function under cursor. Monaco has no call hierarchy view, a quick pick
+   * lists them instead: the button of an item shows its own calls, so a call chain can be followed from an external
+   * entry point, and the button of the title switches between incoming and outgoing calls.
+   *
+   * @param {monaco.editor.ICodeEditor} editor
+   * @param {boolean} incoming whether to start with the callers
+   * @memberof SolidityCallHierarchyProvider
+   */
+  async pickCalls(editor, incoming = true) {
+    const quickInputService = editor.invokeWithinContext(accessor => accessor.get(IQuickInputService))
+    const picker = quickInputService.createQuickPick()
+    picker.matchOnDescription = true
+    picker.matchOnDetail = true
+    picker.busy = true
+    picker.onDidHide(() => picker.dispose())
+    picker.show()
+
+    const item = await this.prepareCallHierarchy(editor.getModel(), editor.getPosition())
+    if (!item) {
+      picker.busy = false
+      picker.placeholder = 'No function under cursor'
+      return
+    }
+
+    const { path, projectRoot } = BaseProjectManager.instance
+    const toggleButton = {
+      iconClass: 'codicon codicon-arrow-swap',
+      tooltip: 'Switch between incoming and outgoing calls',
+    }
+    const expandButton = incoming => ({
+      iconClass: incoming ? 'codicon codicon-call-incoming' : 'codicon codicon-call-outgoing',
+      tooltip: incoming ? 'Show incoming calls' : 'Show outgoing calls',
+    })
+    let current = { item, incoming }
+    const update = async () => {
+      const { item, incoming } = current
+      picker.busy = true
+      picker.value = ''
+      picker.title = `${incoming ? 'Callers of' : 'Calls from'} ${item.name}${item.detail ? ` (${item.detail})` : ''}`
+      picker.buttons = [toggleButton]
+      let calls
+      try {
+        calls = incoming ? await this.provideIncomingCalls(item) : await this.provideOutgoingCalls(item)
+      } catch (e) {
+        console.warn(e)
+      }
+      if (current.item !== item || current.incoming !== incoming) {
+        return
+      }
+      if (!calls) {
+        picker.items = []
+        picker.placeholder = `Failed to find ${incoming ? 'incoming' : 'outgoing'} calls`
+        picker.busy = false
+        return
+      }
+      picker.items = calls.map(call => {
+        const target = incoming ? call.from : call.to
+        // callers open at their first call, callees at their declaration
+        const range = incoming ? call.fromRanges[0] : target.selectionRange
+        return {
+          label: target.name,
+          description: target.detail,
+          detail: `${path.relative(projectRoot, target.uri.path)}:${range.startLineNumber}` +
+            (call.fromRanges.length > 1 ? ` (${call.fromRanges.length} calls)` : ''),
+          iconClasses: SymbolKinds.toCssClassName(target.kind).split(' '),
+          buttons: target.node && isFunctionLike(target.node) ? [expandButton(incoming)] : [],
+          target,
+          location: { uri: target.uri, range },
+        }
+      })
+      picker.placeholder = calls.length ? '' : `No ${incoming ? 'incoming' : 'outgoing'} calls`
+      picker.busy = false
+    }
+    picker.onDidTriggerButton(() => {
+      current = { item: current.item, incoming: !current.incoming }
+      update()
+    })
+    picker.onDidTriggerItemButton(({ item }) => {
+      current = { item: item.target, incoming: current.incoming }
+      update()
+    })
+    picker.onDidAccept(() => {
+      const [selected] = picker.selectedItems
+      picker.hide()
+      if (selected) {
+        const { uri, range } = selected.location
+        codeEditorService.openCodeEditor({ resource: uri, options: { selection: range } }, editor)
+      }
+    })
+    update()
+  }
+}
+
+/**
+ * Describe a declaration as an item of the call hierarchy
+ *
+ * @param {*} node declaration
+ * @param {{ model: monaco.editor.ITextModel, statements: Array<any> }} source the source of the declaration
+ * @param {boolean} external whether it is called from another contract
+ * @returns {{ name: string, kind: monaco.languages.SymbolKind, detail: string, uri: monaco.Uri, range: monaco.Range,
+ * selectionRange: monaco.Range, node: *, source: * }} `detail` is the contract of the declaration
+ */
+function toItem (node, source, external = false) {
+  const { model, statements } = source
+  const container = findContainer(statements, node)
+  const name = node.name || UNNAMED_FUNCTIONS[node.type]
+  const nameOffset = node.name ? findNameOffset(model.getValue(), node, node.name) : -1
+  const start = nameOffset === -1 ? node.start : nameOffset
+  return {
+    name,
+    kind: SYMBOL_KINDS[node.type] || monaco.languages.SymbolKind.Function,
+    detail: [container && container.name, external && 'external call'].filter(Boolean).join(' · '),
+    uri: model.uri,
+    range: toRange(model, node.start, node.end),
+    selectionRange: toRange(model, start, start + name.length),
+    node,
+    source,
+  }
+}
+
+function toRange (model, start, end) {
+  return monaco.Range.fromPositions(model.getPositionAt(start), model.getPositionAt(end))
+}
+
+function findContainer (statements, node) {
+  return statements.find(element => element.body instanceof Array && element.body.includes(node))
+}
+
+/**
+ * Call each function-like declaration of a file, including free functions
+ */
+function forEachFunction (statements, callback) {
+  statements.forEach(element => {
+    if (isFunctionLike(element)) {
+      callback(element)
+    } else if (element.body instanceof Array) {
+      element.body.filter(isFunctionLike).forEach(callback)
+    }
+  })
+}
+
+/**
+ * The constructor of a contract, or the contract itself if it declares none
+ */
+function findConstructor ({ node, source }) {
+  const constructor = node.body.find(element =>
+    element.type === 'ConstructorDeclaration' ||
+    // before solidity 0.4.22 the constructor is named after the contract
+    (element.type === 'FunctionDeclaration' && element.name === node.name)
+  )
+  return { node: constructor || node, source }
+}
+
+/**
+ * Pick the overloads taking as many arguments as given, if there are several. A function attached with `using for`
+ * takes the object as its first argument.
+ */
+function findOverload (members, argumentCount) {
+  if (members.length <= 1) {
+    return members
+  }
+  const paramCount = ({ node }) => (node.params || []).length
+  const exact = members.filter(member => paramCount(member) === argumentCount)
+  if (exact.length) {
+    return exact
+  }
+  const attached = members.filter(member => paramCount(member) === argumentCount + 1)
+  return attached.length ? attached : members
+}
+
+/**
+ * Whether a call expression is the call options of another e.g. `addr.call{value: 1}` in `addr.call{value: 1}("")`
+ */
+function isCallOptions (node) {
+  return node.type === 'CallExpression' && node.arguments.length > 0 &&
+    node.arguments.every(argument => argument.type === 'NameValueAssignment')
+}
@@ -0,0 +1,294 @@
+import * as monaco from 'monaco-editor'
+
+import symbolIndex from './SymbolIndex'
+import { MARKER_OWNER } from './SolidityDiagnostics'
+import { walk, isFunctionLike } from './ast'
+
+const VISIBILITIES = ['public', 'private', 'internal', 'external']
+
+// fixes for the rules of solhint and solium, by rule ID
+const FIXES = {
+  quotes: fixQuotes,
+  'func-visibility': addVisibility,
+  'security/enforce-explicit-visibility': addVisibility,
+  'visibility-modifier-order': moveVisibilityFirst,
+  'visibility-first': moveVisibilityFirst,
+  'avoid-sha3': replaceWord('sha3', 'keccak256'),
+  'security/no-sha3': replaceWord('sha3', 'keccak256'),
+  'avoid-suicide': replaceWord('suicide', 'selfdestruct'),
+  'deprecated-suicide': replaceWord('suicide', 'selfdestruct'),
+  'avoid-throw': replaceWord('throw', 'revert()'),
+  'security/no-throw': replaceWord('throw', 'revert()'),
+}
+
+export default class SolidityCodeActionProvider {
+  /**
+   * Provide quick fixes for linter markers in range, an action to suppress each of them, an action to fix every
+   * fixable marker in the file, and an action to add the SPDX license identifier when the file has none
+   *
+   * @param {monaco.editor.ITextModel} model
+   * @param {monaco.Range} range
+   * @param {monaco.languages.CodeActionContext} context
+   * @returns {(Thenable<monaco.languages.CodeActionList>)}
+   * @memberof SolidityCodeActionProvider
+   */
+  provideCodeActions(
+    model,
+    range,
+    context,
+  ) {
+    const actions = []
+    const markers = context.markers.filter(marker => ruleOf(marker))
+
+    markers.forEach(marker => {
+      const fix = this.findFix(model, marker)
+      if (fix) {
+        actions.push(this.toAction(model, fix.title, 'quickfix', [marker], fix.edits, true))
+      }
+    })
+
+    markers.forEach(marker => {
+      const rule = ruleOf(marker)
+      const line = model.getLineContent(marker.startLineNumber)
+      const indentation = /^\s*/.exec(line)[0]
+      actions.push(this.toAction(model, `Disable ${rule} for this line`, 'quickfix', [marker], [{
+        range: new monaco.Range(marker.startLineNumber, 1, marker.startLineNumber, 1),
+        text: `${indentation}// ${marker.source}-disable-next-line ${rule}\n`,
+      }]))
+    })
+
+    if (markers.some(marker => FIXES[ruleOf(marker)])) {
+      const fixAll = this.provideFixAll(model)
+      if (fixAll) {
+        actions.push(fixAll)
+      }
+    }
+
+    if (range.startLineNumber === 1 && !model.getValue().includes('SPDX-License-Identifier')) {
+      actions.push(this.toAction(model, 'Add SPDX license identifier', 'quickfix', [], [{
+        range: new monaco.Range(1, 1, 1, 1),
+        text: '// SPDX-License-Identifier: UNLICENSED\n',
+      }]))
+    }
+
+    return {
+      actions,
+      dispose () {},
+    }
+  }
+
+  /**
+   * Fix every fixable linter marker of the model at once. Fixes that overlap an earlier one are left out, they can
+   * be fixed on the next run.
+   *
+   * @private
+   * @param {monaco.editor.ITextModel} model
+   * @returns {monaco.languages.CodeAction}
+   * @memberof SolidityCodeActionProvider
+   */
+  provideFixAll(model) {
+    const markers = monaco.editor.getModelMarkers({ owner: MARKER_OWNER, resource: model.uri })
+    const edits = []
+    const fixed = []
+    markers.forEach(marker => {
+      const fix = this.findFix(model, marker)
+      if (!fix || fix.edits.some(edit => edits.some(other => overlaps(edit.range, other.range)))) {
+        return
+      }
+      edits.push(...fix.edits)
+      fixed.push(marker)
+    })
+    if (edits.length) {
+      return this.toAction(model, 'Fix all auto-fixable problems', 'source.fixAll', fixed, edits)
+    }
+  }
+
+  /**
+   * @private
+   * @param {monaco.editor.ITextModel} model
+   * @param {monaco.editor.IMarkerData} marker
+   * @returns {{ title: string, edits: Array<{ range: monaco.IRange, text: string }> }} the fix, if the rule of the
+   * marker has one and it applies
+   * @memberof SolidityCodeActionProvider
+   */
+  findFix(model, marker) {
+    const fix = FIXES[ruleOf(marker)]
+    return fix && fix(model, marker)
+  }
+
+  /**
+   * @private
+   * @param {monaco.editor.ITextModel} model
+   * @param {string} title
+   * @param {string} kind
+   * @param {monaco.editor.IMarkerData[]} diagnostics markers fixed by the action
+   * @param {Array<{ range: monaco.IRange, text: string }>} edits
+   * @param {boolean} isPreferred
+   * @returns {monaco.languages.CodeAction}
+   * @memberof SolidityCodeActionProvider
+   */
+  toAction(model, title, kind, diagnostics, edits, isPreferred = false) {
+    const modelVersionId = model.getVersionId()
+    return {
+      title,
+      kind,
+      diagnostics,
+      isPreferred,
+      edit: {
+        edits: edits.map(edit => ({ resource: model.uri, edit, modelVersionId })),
+      },
+    }
+  }
+}
+
+function ruleOf (marker) {
+  if (!['solhint', 'solium', 'analyzer'].includes(marker.source)) {
+    return
+  }
+  return marker.code instanceof Object ? marker.code.value : marker.code
+}
+
+function overlaps (range, other) {
+  return monaco.Range.areIntersectingOrTouching(range, other)
+}
+
+/**
+ * Find the function, modifier or constructor declared at the start of a marker
+ */
+function findFunctionAt (model, marker) {
+  const result = symbolIndex.parse(model)
+  if (!result) {
+    return
+  }
+  const offset = model.getOffsetAt({ lineNumber: marker.startLineNumber, column: marker.startColumn })
+  let func
+  walk(result.body, node => {
+    if (node.start > offset || node.end < offset) {
+      return false
+    }
+    if (isFunctionLike(node)) {
+      func = node
+      return false
+    }
+  })
+  return func
+}
+
+function replaceWord (word, replacement) {
+  return (model, marker) => {
+    const line = model.getLineContent(marker.startLineNumber)
+    const pattern = new RegExp(`\\b${word}\\b`, 'g')
+    let match
+    let found
+    while ((match = pattern.exec(line))) {
+      found = match
+      if (match.index >= marker.startColumn - 1) {
+        break
+      }
+    }
+    if (!found) {
+      return
+    }
+    return {
+      title: `Replace '${word}' with '${replacement}'`,
+      edits: [{
+        range: new monaco.Range(marker.startLineNumber, found.index + 1, marker.startLineNumber, found.index + 1 + word.length),
+        text: replacement,
+      }],
+    }
+  }
+}
+
+function fixQuotes (model, marker) {
+  const style = /\b(double|single)\b/.exec(marker.message)
+  if (!style) {
+    return
+  }
+  const [quote, other] = style[1] === 'double' ? ['"', '\''] : ['\'', '"']
+  // the string literal with the other quote style that contains or follows the start of the marker
+  const line = model.getLineContent(marker.startLineNumber)
+  let start
+  let end
+  for (let i = 0; i < line.length && start === undefined; i++) {
+    if (line[i] !== '"' && line[i] !== '\'') {
+      continue
+    }
+    let j = i + 1
+    while (j < line.length && line[j] !== line[i]) {
+      j += line[j] === '\\' ? 2 : 1
+    }
+    if (line[i] === other && j < line.length && j >= marker.startColumn - 1) {
+      start = i
+      end = j
+    }
+    i = j
+  }
+  if (start === undefined) {
+    return
+  }
+  const content = line.slice(start + 1, end)
+    .replace(new RegExp(`\\\\${other}`, 'g'), other)
+    .replace(new RegExp(`(^|[^\\\\])${quote}`, 'g'), `$1\\${quote}`)
+  return {
+    title: `Use ${style[1]} quotes`,
+    edits: [{
+      range: new monaco.Range(marker.startLineNumber, start + 1, marker.startLineNumber, end + 2),
+      text: quote + content + quote,
+    }],
+  }
+}
+
+function addVisibility (model, marker) {
+  const func = findFunctionAt(model, marker)
+  if (!func || (func.modifiers || []).some(({ name }) => VISIBILITIES.includes(name))) {
+    return
+  }
+  // fallback functions must be external, everything else was public when visibility was optional
+  const visibility = func.type === 'FunctionDeclaration' && !func.name ? 'external' : 'public'
+  const code = model.getValue()
+  const open = code.indexOf('(', func.start)
+  let close = open
+  for (let depth = 0; close !== -1 && close < func.end; close++) {
+    if (code[close] === '(') {
+      depth++
+    } else if (code[close] === ')' && --depth === 0) {
+      break
+    }
+  }
+  if (open === -1 || close >= func.end) {
+    return
+  }
+  const position = model.getPositionAt(close + 1)
+  return {
+    title: `Add '${visibility}' visibility`,
+    edits: [{
+      range: monaco.Range.fromPositions(position, position),
+      text: ` ${visibility}`,
+    }],
+  }
+}
+
+function moveVisibilityFirst (model, marker) {
+  const func = findFunctionAt(model, marker)
+  const modifiers = (func && func.modifiers) || []
+  const index = modifiers.findIndex(({ name }) => VISIBILITIES.includes(name))
+  if (index <= 0) {
+    return
+  }
+  const visibility = modifiers[index]
+  const previous = modifiers[index - 1]
+  return {
+    title: `Move '${visibility.name}' before other modifiers`,
+    edits: [
+      {
+        range: monaco.Range.fromPositions(model.getPositionAt(modifiers[0].start)),
+        text: `${visibility.name} `,
+      },
+      {
+        // remove the modifier along with the whitespace before it
+        range: monaco.Range.fromPositions(model.getPositionAt(previous.end), model.getPositionAt(visibility.end)),
+        text: '',
+      },
+    ],
+  }
+}
@@ -0,0 +1,173 @@
+import * as monaco from 'monaco-editor'
+import { IQuickInputService } from 'monaco-editor/esm/vs/platform/quickinput/common/quickInput'
+
+import codeEditorService from '../overrides'
+import Contract from './Contract'
+import symbolIndex from './SymbolIndex'
+import { selector } from './abi'
+import { typeToString } from './ast'
+import { computeStorageLayout, countStorageAccesses } from './storage'
+import { CONTAINER_TYPES, findInheritanceChain, findUserType } from './types'
+
+// the command of the lens above a contract, registered by `installSupport`
+export const STORAGE_LAYOUT_COMMAND = 'solidity.showStorageLayout'
+
+const VISIBILITIES = ['public', 'private', 'internal', 'external']
+
+export default class SolidityCodeLensProvider {
+  /**
+   * Provide lenses with insights on storage and gas: the number of storage slots of each contract, which opens its
+   * whole layout including inherited variables and packing gaps, the slot, offset and size of each state variable,
+   * and the selector of each function with the reads and writes of storage it makes.
+   *
+   * @param {monaco.editor.ITextModel} model
+   * @returns {(Thenable<monaco.languages.CodeLensList>)}
+   * @memberof SolidityCodeLensProvider
+   */
+  async provideCodeLenses(
+    model,
+  ) {
+    const result = symbolIndex.parse(model)
+    if (!result) {
+      return
+    }
+    const sources = await Contract.importAll(model, result.body)
+    const lenses = []
+    const addLens = (node, title, tooltip, command = { id: '' }) => {
+      const position = model.getPositionAt(node.start)
+      lenses.push({
+        range: monaco.Range.fromPositions(position, position),
+        command: { ...command, title, tooltip },
+      })
+    }
+
+    result.body.filter(element => CONTAINER_TYPES.includes(element.type)).forEach(contract => {
+      const chain = findInheritanceChain(sources, contract)
+      if (contract.type === 'ContractStatement') {
+        const layout = computeStorageLayout(sources, chain)
+        addLens(contract, describeLayout(layout), 'Show storage layout', {
+          id: STORAGE_LAYOUT_COMMAND,
+          arguments: [model.uri, contract.name],
+        })
+        layout.variables
+          .filter(variable => variable.contract === contract)
+          .forEach(variable => addLens(variable.node, describePosition(variable)))
+      }
+
+      const resolveType = name => (findUserType(sources, name, chain) || {}).node
+      contract.body.filter(element => element.type === 'FunctionDeclaration' && element.name).forEach(func => {
+        const parts = []
+        if (isExternallyCallable(func)) {
+          parts.push(selector(func, resolveType))
+        }
+        if (func.body && contract.type !== 'LibraryStatement') {
+          const { reads, writes, inLoop } = countStorageAccesses(func, chain)
+          if (writes) {
+            parts.push(`${writes} SSTORE`)
+          }
+          if (reads) {
+            parts.push(`${reads} SLOAD`)
+          }
+          if (inLoop && (reads || writes)) {
+            parts.push('storage access in a loop')
+          }
+        }
+        if (parts.length) {
+          addLens(func, parts.join(' · '),
+            'Each storage write costs 2,900 to 22,100 gas and each read 100 to 2,100 gas, see EIP-2929')
+        }
+      })
+    })
+    return { lenses, dispose () {} }
+  }
+
+  /**
+   * List the storage layout of a contract in a quick pick, slot by slot, and open the variable picked. Used as the
+   * command of the lens above the contract.
+   *
+   * @param {monaco.Uri} uri uri of the model where the contract is declared
+   * @param {string} contractName
+   * @memberof SolidityCodeLensProvider
+   */
+  async pickStorageLayout(uri, contractName) {
+    const editors = codeEditorService.listCodeEditors()
+      .filter(editor => editor.getModel() && editor.getModel().uri.toString() === uri.toString())
+    const editor = editors.find(editor => editor.hasTextFocus()) || editors[0]
+    const model = editor && editor.getModel()
+    const result = model && symbolIndex.parse(model)
+    const contract = result && result.body.find(element =>
+      element.type === 'ContractStatement' && element.name === contractName
+    )
+    if (!contract) {
+      return
+    }
+    const sources = await Contract.importAll(model, result.body)
+    const layout = computeStorageLayout(sources, findInheritanceChain(sources, contract))
+
+    const entries = [
+      ...layout.variables.map(variable => {
+        const source = sources.find(({ statements }) => statements.includes(variable.contract))
+        return {
+          slot: variable.slot,
+          offset: variable.offset,
+          label: `${typeToString(variable.node.literal)} ${variable.node.name}`,
+          description: describePosition(variable),
+          detail: variable.contract === contract ? undefined : `inherited from ${variable.contract.name}`,
+          model: source && source.model,
+          node: variable.node,
+        }
+      }),
+      ...layout.gaps.map(gap => ({
+        slot: gap.slot,
+        offset: gap.offset,
+        label: '(unused)',
+        description: describePosition(gap),
+        detail: 'packing gap, a smaller variable declared here would fill it',
+      })),
+    ].sort((a, b) => a.slot - b.slot || a.offset - b.offset)
+
+    const quickInputService = editor.invokeWithinContext(accessor => accessor.get(IQuickInputService))
+    const picker = quickInputService.createQuickPick()
+    picker.title = `Storage layout of ${contract.name}`
+    picker.placeholder = describeLayout(layout)
+    picker.matchOnDescription = true
+    picker.items = entries
+    picker.onDidHide(() => picker.dispose())
+    picker.onDidAccept(() => {
+      const [item] = picker.selectedItems
+      picker.hide()
+      if (item && item.model) {
+        const position = item.model.getPositionAt(item.node.start)
+        const range = monaco.Range.fromPositions(position, position)
+        codeEditorService.openCodeEditor({ resource: item.model.uri, options: { selection: range } }, editor)
+      }
+    })
+    picker.show()
+  }
+}
+
+function describeLayout ({ slots, gaps }) {
+  const title = `${slots} storage ${slots === 1 ? 'slot' : 'slots'}`
+  if (!gaps.length) {
+    return title
+  }
+  const unused = gaps.reduce((total, gap) => total + gap.size, 0)
+  return `${title} · ${gaps.length} packing ${gaps.length === 1 ? 'gap' : 'gaps'} (${unused} bytes unused)`
+}
+
+function describePosition ({ slot, offset, size, slots }) {
+  if (size === undefined) {
+    return slots === 1 ? `slot ${slot}` : `slots ${slot}-${slot + slots - 1}`
+  }
+  return `slot ${slot} · offset ${offset} · ${size} ${size === 1 ? 'byte' : 'bytes'}`
+}
+
+/**
+ * Functions with a selector: public and external ones, and those without visibility, public before 0.5
+ */
+function isExternallyCallable (func) {
+  const visibility = (func.modifiers || []).find(({ type, name }) =>
+    type === 'ModifierArgument' && VISIBILITIES.includes(name)
+  )
+  return !visibility || visibility.name === 'public' || visibility.name === 'external'
+}
@@ -0,0 +1,416 @@
+import * as monaco from 'monaco-editor'
+
+import Contract from './Contract'
+import symbolIndex from './SymbolIndex'
+import snippets from './snippets.json'
+import globals from './globals.json'
+import { parse, localDeclarations, describeDeclaration } from './ast'
+import {
+  CONTAINER_TYPES,
+  findSource,
+  findScope,
+  inferType,
+  listMembers,
+  findAttachedFunctions,
+} from './types'
+import { findLocalDeclaration } from './scope'
+
+// snippets only make sense in some places, the ones not listed here are for the top level of a file
+const SNIPPET_CONTEXTS = {
+  enum: ['source', 'contract'],
+  error: ['source', 'contract'],
+  map: ['contract'],
+  const: ['contract'],
+  func: ['contract'],
+  funcr: ['contract'],
+  funcrview: ['contract'],
+  ev: ['contract'],
+  mod: ['contract'],
+  '///nat_statevariable': ['contract'],
+  '///nat_function': ['contract'],
+  '///nat_event': ['contract'],
+  ife: ['function'],
+  for: ['function'],
+  unchecked: ['function'],
+}
+
+// sortText prefixes, lower ranks first
+const RANKS = {
+  local: '0',
+  member: '1',
+  symbol: '2',
+  global: '3',
+  snippet: '9',
+}
+
+export default class SolidityCompletionProvider {
+  triggerCharacters = ['.']
+
+  constructor () {
+    // last successfully parsed AST of each model, used while the code being typed does not parse
+    this.results = new WeakMap()
+  }
+
+  /**
+   * Provide completion items for cursor position. Symbols come from the parsed AST of the current file and its
+   * imports: members of the current contract and its ancestors, locals of the current function, and imported
+   * declarations. After `.`, members of the object are provided instead. Snippets come last, filtered by where the
+   * cursor is.
+   *
+   * @param {monaco.editor.ITextModel} model
+   * @param {monaco.Position} position
+   * @returns {(Thenable<monaco.languages.CompletionList>)}
+   * @memberof SolidityCompletionProvider
+   */
+  async provideCompletionItems(
+    model,
+    position,
+  ) {
+    const code = model.getValue()
+    const offset = model.getOffsetAt(position)
+    const word = model.getWordUntilPosition(position)
+    const range = new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn)
+
+    const context = scanContext(code, offset)
+    if (context === 'string') {
+      return { suggestions: [], dispose () {} }
+    }
+
+    const result = this.parse(model, position)
+    const statements = result ? result.body : []
+    const sources = await Contract.importAll(model, statements)
+    const scope = findScope(sources, statements, offset)
+
+    const linePrefix = model.getLineContent(position.lineNumber).slice(0, word.startColumn - 1)
+    const member = /([\w$]+(?:\s*\.\s*[\w$]+)*)\s*\.\s*$/.exec(linePrefix)
+
+    let suggestions
+    if (context === 'comment') {
+      suggestions = this.provideSnippets(context, range)
+    } else if (member) {
+      suggestions = this.provideMemberCompletions(member[1].split(/\s*\.\s*/), scope, sources, range)
+    } else {
+      suggestions = [
+        ...this.provideSymbolCompletions(context, scope, sources, range),
+        ...this.provideSnippets(context, range),
+      ]
+    }
+
+    return {
+      suggestions,
+      dispose () {},
+    }
+  }
+
+  /**
+   * Parse the model. Code being typed often does not parse, in which case the line at cursor is blanked out, and
+   * failing that the last successful result is used.
+   *
+   * @private
+   * @param {monaco.editor.ITextModel} model
+   * @param {monaco.Position} position
+   * @returns {*} the `Program` node, if any
+   * @memberof SolidityCompletionProvider
+   */
+  parse(model, position) {
+    let result = symbolIndex.parse(model)
+    if (!result) {
+      const code = model.getValue()
+      const lineStart = model.getOffsetAt({ lineNumber: position.lineNumber, column: 1 })
+      const line = model.getLineContent(position.lineNumber)
+      result = parse(code.slice(0, lineStart) + ' '.repeat(line.length) + code.slice(lineStart + line.length))
+    }
+    if (result) {
+      this.results.set(model, result)
+      return result
+    }
+    return this.results.get(model)
+  }
+
+  /**
+   * @private
+   * @param {string} context where the cursor is, one of `source`, `contract`, `function` and `comment`
+   * @param {monaco.IRange} range
+   * @returns {monaco.languages.CompletionItem[]}
+   * @memberof SolidityCompletionProvider
+   */
+  provideSnippets(context, range) {
+    return snippets
+      .filter(snippet => {
+        if (context === 'comment') {
+          return snippet.label.startsWith('///')
+        }
+        return (SNIPPET_CONTEXTS[snippet.label] || ['source']).includes(context)
+      })
+      .map(snippet => ({
+        kind: monaco.languages.CompletionItemKind.Snippet,
+        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+        sortText: RANKS.snippet + snippet.label,
+        range,
+        ...snippet,
+      }))
+  }
+
+  /**
+   * Provide symbols visible at cursor: locals and parameters, members of the contract and its ancestors, top level
+   * declarations of imported files, and global variables and functions
+   *
+   * @private
+   * @param {string} context where the cursor is, one of `source`, `contract` and `function`
+   * @param {*} scope see `findScope`
+   * @param {Array<any>} sources current source and its imports
+   * @param {monaco.IRange} range
+   * @returns {monaco.languages.CompletionItem[]}
+   * @memberof SolidityCompletionProvider
+   */
+  provideSymbolCompletions(context, scope, sources, range) {
+    const items = []
+    const code = sources[0].model.getValue()
+
+    if (context === 'function' && scope.func) {
+      localDeclarations(scope.func)
+        // only the declarations in scope at cursor, and not the ones they shadow
+        .filter(({ name, node }) => findLocalDeclaration(scope.func, name, scope.offset) === node)
+        .forEach(({ name, node }) => items.push(this.toCompletionItem(name, code, node, RANKS.local, range)))
+    }
+
+    if (context !== 'source') {
+      scope.chain.forEach((contract, index) => {
+        const code = findSource(sources, contract).model.getValue()
+        contract.body
+          .filter(element => index === 0 || !isPrivate(element))
+          .filter(element => element.name && (
+            context === 'function'
+              ? element.type !== 'ModifierDeclaration'
+              : ['StructDeclaration', 'EnumDeclaration', 'ModifierDeclaration', 'StateVariableDeclaration'].includes(element.type)
+          ))
+          .forEach(element => items.push(this.toCompletionItem(element.name, code, element, RANKS.member, range)))
+      })
+    }
+
+    sources.forEach(({ model, statements }) => {
+      const code = model.getValue()
+      statements
+        .filter(element => element.name && [...CONTAINER_TYPES, 'StructDeclaration', 'ErrorDeclaration'].includes(element.type))
+        .forEach(element => items.push(this.toCompletionItem(element.name, code, element, RANKS.symbol, range)))
+    })
+
+    if (context === 'function') {
+      Object.keys(globals.variables).forEach(name => items.push({
+        label: name,
+        kind: monaco.languages.CompletionItemKind.Variable,
+        detail: globals.variables[name].detail,
+        insertText: name,
+        sortText: RANKS.global + name,
+        range,
+      }))
+      Object.keys(globals.functions).forEach(name => items.push({
+        label: name,
+        kind: monaco.languages.CompletionItemKind.Function,
+        detail: globals.functions[name],
+        insertText: name,
+        sortText: RANKS.global + name,
+        range,
+      }))
+    }
+
+    // keep the nearest declaration when names clash e.g. overridden functions
+    const labels = new Set()
+    return items.filter(item => !labels.has(item.label) && labels.add(item.label))
+  }
+
+  /**
+   * Provide members of the object before `.`, which can be a global variable, `this`, `super`, a contract, library,
+   * interface or enum name, or a variable or member access whose type can be inferred e.g. `order.item.`
+   *
+   * @private
+   * @param {string[]} path names in the member access before `.` e.g. `['order', 'item']`
+   * @param {*} scope see `findScope`
+   * @param {Array<any>} sources current source and its imports
+   * @param {monaco.IRange} range
+   * @returns {monaco.languages.CompletionItem[]}
+   * @memberof SolidityCompletionProvider
+   */
+  provideMemberCompletions(path, scope, sources, range) {
+    const object = path.slice(1).reduce(
+      (object, name) => ({ type: 'MemberExpression', object, property: { type: 'Identifier', name }, computed: false }),
+      { type: 'Identifier', name: path[0], start: scope.offset },
+    )
+    const objectType = inferType(object, scope, sources)
+    if (!objectType) {
+      return []
+    }
+
+    const items = []
+    if (objectType.kind === 'builtin') {
+      return this.toBuiltinItems(globals.variables[objectType.name].members, range)
+    } else if (objectType.kind === 'enum' && objectType.isStatic) {
+      return objectType.node.members.map(name => ({
+        label: name,
+        kind: monaco.languages.CompletionItemKind.EnumMember,
+        detail: `${objectType.node.name}.${name}`,
+        insertText: name,
+        sortText: RANKS.member + name,
+        range,
+      }))
+    } else if (objectType.kind === 'array') {
+      items.push(...this.toBuiltinItems(globals.types.array, range))
+    } else if (objectType.kind === 'elementary') {
+      const { literal } = objectType.type
+      if (literal === 'address' || literal === 'address_payable') {
+        items.push(...this.toBuiltinItems(globals.types.address, range))
+      } else if (literal === 'bytes') {
+        items.push(...this.toBuiltinItems(globals.types.bytes, range))
+      }
+    }
+
+    // members of a contract instance are called externally, but functions attached with `using for` are not
+    const externalOnly = objectType.kind === 'contract' && !objectType.isStatic
+    const attached = externalOnly ? findAttachedFunctions(objectType, scope, sources).map(({ node }) => node) : []
+    listMembers(objectType, scope, sources)
+      .filter(({ node }) => !externalOnly || attached.includes(node) || isExternallyVisible(node))
+      .forEach(({ node, source }) => {
+        items.push(this.toCompletionItem(node.name, source.model.getValue(), node, RANKS.member, range))
+      })
+    return items
+  }
+
+  /**
+   * @private
+   * @param {string} name
+   * @param {string} code code of the file where the node belongs
+   * @param {*} node declaration node
+   * @param {string} rank see `RANKS`
+   * @param {monaco.IRange} range
+   * @returns {monaco.languages.CompletionItem}
+   * @memberof SolidityCompletionProvider
+   */
+  toCompletionItem(name, code, node, rank, range) {
+    return {
+      label: name,
+      kind: completionKind(node),
+      detail: describeDeclaration(code, node),
+      insertText: name,
+      sortText: rank + name,
+      range,
+    }
+  }
+
+  /**
+   * @private
+   * @param {Object<string, string>} members member names and their types from `globals.json`
+   * @param {monaco.IRange} range
+   * @returns {monaco.languages.CompletionItem[]}
+   * @memberof SolidityCompletionProvider
+   */
+  toBuiltinItems(members, range) {
+    return Object.keys(members).map(name => ({
+      label: name,
+      kind: members[name].startsWith('function')
+        ? monaco.languages.CompletionItemKind.Method
+        : monaco.languages.CompletionItemKind.Property,
+      detail: members[name],
+      insertText: name,
+      sortText: RANKS.member + name,
+      range,
+    }))
+  }
+}
+
+function completionKind (node) {
+  const { CompletionItemKind } = monaco.languages
+  switch (node.type) {
+    case 'ContractStatement':
+      return CompletionItemKind.Class
+    case 'InterfaceStatement':
+      return CompletionItemKind.Interface
+    case 'LibraryStatement':
+      return CompletionItemKind.Module
+    case 'FunctionDeclaration':
+      return CompletionItemKind.Function
+    case 'ModifierDeclaration':
+      return CompletionItemKind.Reference
+    case 'EventDeclaration':
+      return CompletionItemKind.Event
+    case 'ErrorDeclaration':
+      return CompletionItemKind.Issue
+    case 'StructDeclaration':
+      return CompletionItemKind.Struct
+    case 'EnumDeclaration':
+      return CompletionItemKind.Enum
+    case 'StateVariableDeclaration':
+      return node.is_constant ? CompletionItemKind.Constant : CompletionItemKind.Field
+    default:
+      return CompletionItemKind.Variable
+  }
+}
+
+function isPrivate (element) {
+  if (element.type === 'StateVariableDeclaration') {
+    return element.visibility === 'private'
+  }
+  return (element.modifiers || []).some(({ name }) => name === 'private')
+}
+
+function isExternallyVisible (element) {
+  if (element.type === 'StateVariableDeclaration') {
+    return element.visibility === 'public'
+  }
+  return !(element.modifiers || []).some(({ name }) => name === 'private' || name === 'internal')
+}
+
+/**
+ * Find out where the offset is by scanning braces before it, skipping comments and strings
+ *
+ * @param {string} code
+ * @param {number} offset
+ * @returns {string} one of `source`, `contract`, `function`, `struct`, `comment` and `string`
+ */
+function scanContext (code, offset) {
+  const stack = []
+  let headerStart = 0
+  for (let i = 0; i < offset; i++) {
+    const char = code[i]
+    if (char === '/' && code[i + 1] === '/') {
+      const end = code.indexOf('\n', i)
+      if (end === -1 || end >= offset) {
+        return 'comment'
+      }
+      i = end
+    } else if (char === '/' && code[i + 1] === '*') {
+      const end = code.indexOf('*/', i + 2)
+      if (end === -1 || end + 2 > offset) {
+        return 'comment'
+      }
+      i = end + 1
+    } else if (char === '"' || char === '\'') {
+      let end = i + 1
+      while (end < code.length && code[end] !== char && code[end] !== '\n') {
+        end += code[end] === '\\' ? 2 : 1
+      }
+      if (end >= offset) {
+        return 'string'
+      }
+      i = end
+    } else if (char === '{') {
+      const header = code.slice(headerStart, i)
+      const parent = stack[stack.length - 1]
+      if (parent === 'function' || parent === 'struct') {
+        stack.push(parent)
+      } else if (/\b(function|modifier|constructor|fallback|receive)\b/.test(header)) {
+        stack.push('function')
+      } else if (/\b(struct|enum)\b/.test(header)) {
+        stack.push('struct')
+      } else {
+        stack.push('contract')
+      }
+      headerStart = i + 1
+    } else if (char === '}') {
+      stack.pop()
+      headerStart = i + 1
+    } else if (char === ';') {
+      headerStart = i + 1
+    }
+  }
+  return stack[stack.length - 1] || 'source'
+}
@@ -1,34 +1,29 @@
 import * as monaco from 'monaco-editor'
 
-import solparse from 'solparse-exp-jb'
+import Contract from './Contract'
+import symbolIndex from './SymbolIndex'
+import { findElementByOffset, findEnclosingFunction, indexDeclarations } from './ast'
+import { findLocalDeclaration } from './scope'
+import { resolveImportPath } from './remappings'
+import {
+  findDeclaration,
+  findScope,
+  findUserType,
+  inferType,
+  findMembers,
+  findInheritedMembers,
+  findOverrides,
+} from './types'
 
-import { BaseProjectManager } from '@obsidians/workspace'
-import { modelSessionManager } from '@obsidians/code-editor'
-
-class Contract {
-  static async import(importPath, model) {
-    const filePath = resolveImportPath(importPath, model)
-    if (!await BaseProjectManager.instance.isFile(filePath)) {
-      return
-    }
-    return new Contract(filePath)
-  }
-
-  constructor (filePath) {
-    this.filePath = filePath
-    this.imports = []
-  }
-
-  get model () {
-    return modelSessionManager.newModelSession(this.filePath).then(modelSession => modelSession.model)
-  }
-
-  get code () {
-    return this.model.then(model => model.getValue())
+export default class SolidityDefinitionProvider {
+  /**
+   * @param {{ listOverrides?: boolean }} option `listOverrides` lists every override in the hierarchy of a function,
+   * instead of only the implementation the call resolves to
+   */
+  constructor (option = {}) {
+    this.listOverrides = Boolean(option.listOverrides)
   }
-}
 
-export default class SolidityDefinitionProvider {
   /**
    * Provide definition for cursor position in Solidity codebase. It calculate offset from cursor position and find the
    * most precise statement in solparse AST that surrounds the cursor. It then deduces the definition of the element based
@@ -43,47 +38,22 @@ export default class SolidityDefinitionProvider {
     model,
     position,
   ) {
-    const modelText = model.getValue()
-    // const contractPath = URI.parse(model.uri).fsPath
-
-    // const contracts = new ContractCollection()
-    // if (this.project !== undefined) {
-    //   contracts.addContractAndResolveImports(
-    //     contractPath,
-    //     modelText,
-    //     this.project,
-    //   )
-    // }
-    // // this contract
-    // const contract = contracts.contracts[0]
-
     const offset = model.getOffsetAt(position)
-    let result
-    try {
-      result = solparse.parse(modelText)
-    } catch (e) {
-      if (!e.result) {
-        return
-      }
-      result = e.result
+    const result = symbolIndex.parse(model)
+    if (!result) {
+      return
     }
     const element = this.findElementByOffset(result.body, offset)
 
-    const imports = result.body.filter(element => element.type === 'ImportStatement').map(element => element.from)
-    const importedContracts = await Promise.all(imports.map(importPath => Contract.import(importPath, model)))
-    const contracts = {
-      contracts: [
-        { code: modelText, model, imports },
-        ...importedContracts.filter(Boolean)
-      ]
-    }
-    const contract = contracts.contracts[0]
+    // the current model and everything it imports, directly or indirectly
+    const sources = await Contract.importAll(model, result.body)
+    const contracts = { sources }
 
     if (element !== undefined) {
       switch (element.type) {
         case 'ImportStatement': {
-          const filePath = resolveImportPath(element.from, contract.model)
-          if (!await BaseProjectManager.instance.isFile(filePath)) {
+          const filePath = await resolveImportPath(element.from, model)
+          if (!filePath) {
             return
           }
           const fullRange = monaco.Range.fromPositions(model.getPositionAt(element.start), model.getPositionAt(element.end))
@@ -103,24 +73,11 @@ export default class SolidityDefinitionProvider {
           // find definition for inheritance
           const isBlock = this.findElementByOffset(element.is, offset)
           if (isBlock !== undefined) {
-            let directImport = await this.findDirectImport(
-              model,
-              result.body,
+            return this.findImportedStatement(
               isBlock.name,
-              'ContractStatement',
+              ['ContractStatement', 'InterfaceStatement'],
               contracts,
             )
-
-            if (directImport.location === undefined) {
-              directImport = await this.findDirectImport(
-                model,
-                result.body,
-                isBlock.name,
-                'InterfaceStatement',
-                contracts,
-              )
-            }
-            return directImport.location
           }
 
           // find definition in contract body recursively
@@ -199,13 +156,11 @@ export default class SolidityDefinitionProvider {
       case 'UsingStatement':
         if (offset < statement.for.start) {
           // definition of the library itself i.e. using **Library** for xxxx
-          return await this.findDirectImport(
-            model,
-            modelStatements,
+          return this.findImportedStatement(
             statement.library,
-            'LibraryStatement',
+            ['LibraryStatement'],
             contracts,
-          ).location
+          )
         } else {
           // definition of the using statement target i.e. using Library for **DataType**
           return this.provideDefinitionForType(
@@ -238,28 +193,64 @@ export default class SolidityDefinitionProvider {
         switch (parentStatement.type) {
           case 'CallExpression': // e.g. Func(x, y)
             if (parentStatement.callee === statement) {
-              // TODO: differentiate function, event, and struct construction
-              return this.provideDefinitionForCallee(
+              return this.provideDefinitionForInherited(
+                modelStatements,
+                statement.name,
+                offset,
+                ['FunctionDeclaration', 'EventDeclaration', 'ErrorDeclaration', 'StructDeclaration'],
+                contracts,
+              ) || this.provideDefinitionForCallee(
                 contracts,
                 statement.name,
               )
             }
-            break
+            // argument of the call e.g. Func(**x**, y)
+            return this.provideDefinitionForLocal(
+              model,
+              modelStatements,
+              statement.name,
+              offset,
+            ) || this.provideDefinitionForInherited(
+              modelStatements,
+              statement.name,
+              offset,
+              ['StateVariableDeclaration'],
+              contracts,
+            ) || this.provideDefinitionForVariable(
+              contracts,
+              statement.name,
+            )
           case 'MemberExpression': // e.g. x.y x.f(y) arr[1] map['1'] arr[i] map[k]
             if (parentStatement.object === statement) {
               // NB: it is possible to have f(x).y but the object statement would not be an identifier
               // therefore we can safely assume this is a variable instead
-              return this.provideDefinitionForVariable(
+              return this.provideDefinitionForLocal(
+                model,
+                modelStatements,
+                statement.name,
+                offset,
+              ) || this.provideDefinitionForInherited(
+                modelStatements,
+                statement.name,
+                offset,
+                ['StateVariableDeclaration'],
+                contracts,
+              ) || this.provideDefinitionForVariable(
                 contracts,
                 statement.name,
               )
             } else if (parentStatement.property === statement) {
+              const members = this.provideDefinitionForMember(
+                modelStatements,
+                parentStatement,
+                offset,
+                contracts,
+              )
+              if (members) {
+                return members
+              }
+              // the type of object is unknown, fall back to every member with the name
               return Promise.all([
-                // TODO: differentiate better between following possible cases
-
-                // TODO: provide field access definition, which requires us to know the type of object
-                // Consider find the definition of object first and recursive upward till declarative expression for type inference
-
                 // array or mapping access via variable i.e. arr[i] map[k]
                 this.provideDefinitionForVariable(
                   contracts,
@@ -274,7 +265,18 @@ export default class SolidityDefinitionProvider {
             }
             break
           default:
-            return this.provideDefinitionForVariable(
+            return this.provideDefinitionForLocal(
+              model,
+              modelStatements,
+              statement.name,
+              offset,
+            ) || this.provideDefinitionForInherited(
+              modelStatements,
+              statement.name,
+              offset,
+              ['StateVariableDeclaration'],
+              contracts,
+            ) || this.provideDefinitionForVariable(
               contracts,
               statement.name,
             )
@@ -318,7 +320,13 @@ export default class SolidityDefinitionProvider {
 
         // handle modifier last now that params have not been selected
         if (statement.type === 'ModifierArgument') {
-          return this.provideDefinitionForCallee(contracts, statement.name)
+          return this.provideDefinitionForInherited(
+            modelStatements,
+            statement.name,
+            offset,
+            ['ModifierDeclaration'],
+            contracts,
+          ) || this.provideDefinitionForCallee(contracts, statement.name)
         }
         break
     }
@@ -339,31 +347,103 @@ export default class SolidityDefinitionProvider {
     contracts,
     name,
   ) {
-    return await this.provideDefinitionForContractMember(
+    return this.provideDefinitionForContractMember(
       contracts,
-      (element) => {
-        const elements = element.body.filter(contractElement =>
-          contractElement.name === name && (
-            contractElement.type === 'FunctionDeclaration' ||
-            contractElement.type === 'EventDeclaration' ||
-            contractElement.type === 'StructDeclaration' ||
-            contractElement.type === "EnumDeclaration"
-          ),
-        )
+      name,
+      ['FunctionDeclaration', 'EventDeclaration', 'StructDeclaration', 'EnumDeclaration', 'ContractStatement'],
+    )
+  }
 
-        if (element.type === 'ContractStatement' && element.name === name) {
-          elements.push(element)
-        }
+  /**
+   * Provide definition for a local variable or parameter. The innermost declaration visible at offset in the
+   * surrounding function, modifier or constructor wins, so shadowed variables resolve correctly.
+   *
+   * @private
+   * @param {monaco.editor.ITextModel} model text model, where statement belongs, used to convert position to/from offset
+   * @param {Array<any>} modelStatements array of statements found in the current model
+   * @param {string} name name of the variable
+   * @param {number} offset cursor offset of the element we need to provide definition for
+   * @returns {monaco.languages.LocationLink[]} the location of the declaration, or undefined if it is not a local
+   * @memberof SolidityDefinitionProvider
+   */
+  provideDefinitionForLocal(
+    model,
+    modelStatements,
+    name,
+    offset,
+  ) {
+    const func = findEnclosingFunction(modelStatements, offset)
+    const declaration = func && findLocalDeclaration(func, name, offset)
+    if (declaration) {
+      const range = monaco.Range.fromPositions(
+        model.getPositionAt(declaration.start),
+        model.getPositionAt(declaration.end)
+      )
+      return [{ uri: model.uri, range, targetSelectionRange: range }]
+    }
+  }
 
-        return elements
-      }
-    )
+  /**
+   * Provide definition for the property of a member access e.g. `token.transfer`, `IERC20(addr).transfer`,
+   * `order.item.price`, `x.add(y)` with `using Library for uint`. The type of object is inferred first, so only
+   * members of that type are provided, including inherited members and functions attached with `using for`.
+   *
+   * @private
+   * @param {Array<any>} modelStatements array of statements found in the current model
+   * @param {*} memberExpression the member expression whose property is under cursor
+   * @param {number} offset cursor offset of the element we need to provide definition for
+   * @param {ContractCollection} contracts collection of contracts resolved by current contract
+   * @returns {monaco.languages.LocationLink[]} the locations of the members, or undefined if the type of object
+   * cannot be inferred
+   * @memberof SolidityDefinitionProvider
+   */
+  provideDefinitionForMember(
+    modelStatements,
+    memberExpression,
+    offset,
+    contracts,
+  ) {
+    const { sources } = contracts
+    const scope = findScope(sources, modelStatements, offset)
+    const objectType = inferType(memberExpression.object, scope, sources)
+    if (!objectType) {
+      return
+    }
+    return this.toLocations(sources, findMembers(objectType, memberExpression.property.name, scope, sources))
+  }
+
+  /**
+   * Provide definition for a member of the surrounding contract or its ancestors, following the C3 linearization of
+   * the contract so an overridden function resolves to the most derived implementation
+   *
+   * @private
+   * @param {Array<any>} modelStatements array of statements found in the current model
+   * @param {string} name name of the member
+   * @param {number} offset cursor offset of the element we need to provide definition for
+   * @param {string[]} types accepted member types
+   * @param {ContractCollection} contracts collection of contracts resolved by current contract
+   * @returns {monaco.languages.LocationLink[]} the locations of the members, or undefined if none is found
+   * @memberof SolidityDefinitionProvider
+   */
+  provideDefinitionForInherited(
+    modelStatements,
+    name,
+    offset,
+    types,
+    contracts,
+  ) {
+    const { sources } = contracts
+    const scope = findScope(sources, modelStatements, offset)
+    const members = findInheritedMembers(sources, scope.chain, name, types)
+    if (members.length) {
+      return this.toLocations(sources, members)
+    }
   }
 
   /**
-   * Provide definition for a variable which can be contract storage variable, constant, local variable (including parameters)
+   * Provide definition for a variable which can be contract storage variable or constant. Local variables and
+   * parameters are handled by `provideDefinitionForLocal`.
    *
-   * TODO: find local variable reference (locally defined, parameters and return parameters)
    * @private
    * @param {ContractCollection} contracts collection of contracts resolved by current contract
    * @param {string} name name of the variable
@@ -374,213 +454,137 @@ export default class SolidityDefinitionProvider {
     contracts,
     name,
   ) {
-    return this.provideDefinitionForContractMember(
-      contracts,
-      (element) =>
-        element.body.filter(contractElement =>
-          contractElement.name === name && (contractElement.type === 'StateVariableDeclaration')
-        ),
-    )
+    return this.provideDefinitionForContractMember(contracts, name, ['StateVariableDeclaration'])
   }
 
   /**
-   * Provide definition for a contract member
+   * Provide definition for the members of contracts and libraries with a name, and for contracts with that name
    *
    * @private
    * @param {ContractCollection} contracts collection of contracts resolved by current contract
-   * @param {string} extractElements extract all relevant elements from a contract or library statement
+   * @param {string} name name of the member
+   * @param {string[]} types accepted types of member, `ContractStatement` for the contracts themselves
    * @returns {Promise<monaco.languages.LocationLink[]>}
    * @memberof SolidityDefinitionProvider
    */
   async provideDefinitionForContractMember(
     contracts,
-    extractElements,
+    name,
+    types,
   ) {
     const locations = []
-    for (const contract of contracts.contracts) {
-      let result
-      try {
-        result = solparse.parse(await contract.code)
-      } catch (e) {
-        if (!e.result) {
-          continue
-        }
-        result = e.result
-      }
-      const elements = Array.prototype.concat.apply([],
-        result.body.map(element => {
-          if (element.type === 'ContractStatement' || element.type === 'LibraryStatement') {
-            if (typeof element.body !== 'undefined' && element.body !== null) {
-              return extractElements(element)
-            }
-          }
-          return []
-        }),
-      )
-
-      const model = await contract.model
-      const uri = model.uri
-      elements.forEach(contractElement => {
-        const range = monaco.Range.fromPositions(
-          model.getPositionAt(contractElement.start),
-          model.getPositionAt(contractElement.end)
-        )
-        return locations.push({ uri, range, targetSelectionRange: range })
-      })
+    for (const { model, statements } of contracts.sources) {
+      (indexDeclarations(statements).byName.get(name) || [])
+        .filter(({ node, container }) => types.includes(node.type) && (container
+          ? container.type === 'ContractStatement' || container.type === 'LibraryStatement'
+          : node.type === 'ContractStatement'))
+        .forEach(({ node }) => locations.push(this.toLocation(model, node)))
     }
     return locations
   }
 
   /**
    * Provide definition for a type. A type can either be simple e.g. `Struct` or scoped `MyContract.Struct`.
-   * For the scoped type, we recurse with the type member as a simple type in the scoped model.
+   * A simple type is looked up in the surrounding contract and its ancestors first, then in the current model and
+   * its imports. For the scoped type, the type member is looked up in the scoping contract or library.
    *
    * @private
    * @param {monaco.editor.ITextModel} model text model, where statement belongs, used to convert position to/from offset
    * @param {Array<any>} modelStatements array of statements found in the current model
    * @param {*} literal type literal object
    * @param {ContractCollection} contracts collection of contracts resolved by current contract
-   * @returns {(Thenable<monaco.languages.LocationLink[]>)}
+   * @returns {monaco.languages.LocationLink[]}
    * @memberof SolidityDefinitionProvider
    */
-  async provideDefinitionForType(
+  provideDefinitionForType(
     model,
     modelStatements,
     literal,
     contracts,
   ) {
-    if (literal.members.length > 0) {
-      // handle scoped type by looking for scoping Contract or Library e.g. MyContract.Struct
-      let literalDocument = await this.findDirectImport(model, modelStatements, literal.literal, 'ContractStatement', contracts)
-      if (literalDocument.location === undefined) {
-        literalDocument = await this.findDirectImport(model, modelStatements, literal.literal, 'LibraryStatement', contracts)
-      }
-
-      if (literalDocument.location !== undefined) {
-        return this.provideDefinitionForType(
-          literalDocument.model,
-          literalDocument.statements,
-          // a fake literal that uses the inner name and set start to the contract location
-          {
-            literal: literal.members[0],
-            members: [],
-            start: literalDocument.model.offsetAt(literalDocument.location.range.start),
-          },
-          contracts,
-        )
-      }
-    } else {
-      const contractStatement = this.findElementByOffset(modelStatements, literal.start)
-      const structLocation = this.findStatementLocationByNameType(
-        model,
-        contractStatement.body,
-        literal.literal,
-        'StructDeclaration',
-      )
-      if (structLocation !== undefined) {
-        return await structLocation
-      }
-
-      const enumLocation = this.findStatementLocationByNameType(
-        model,
-        contractStatement.body,
-        literal.literal,
-        'EnumDeclaration',
-      )
-      if (enumLocation !== undefined) {
-        return await enumLocation
-      }
-
-      // TODO: only search inheritance chain
-      return this.provideDefinitionForContractMember(
-        contracts,
-        (element) =>
-          element.body.filter(contractElement =>
-            contractElement.name === literal.literal && (contractElement.type === 'StructDeclaration' || contractElement.type === 'EnumDeclaration'),
-          ),
-      )
+    if (!(literal instanceof Object) || typeof literal.literal !== 'string') {
+      // e.g. using Library for *
+      return
+    }
+    const { sources } = contracts
+    const scope = findScope(sources, modelStatements, literal.start)
+    let declaration = findUserType(sources, literal.literal, scope.chain)
+    for (const member of literal.members) {
+      const node = declaration && declaration.node.body instanceof Array &&
+        declaration.node.body.find(element => element.name === member)
+      declaration = node && { node, source: declaration.source }
     }
+    return declaration && this.toLocations(sources, [declaration])
   }
 
   /**
-   * Find the first statement by name and type in current model and its direct imports.
+   * Find the first statement by name and type in current model and its imports, direct or indirect.
    *
-   * This is used to find either Contract or Library statement to define `is`, `using`, or member accessor.
+   * This is used to find either Contract or Library statement to define `is` or `using`.
    *
    * @private
-   * @param {monaco.editor.ITextModel} model model where statements belong, used to convert offset to position
-   * @param {Array<any>} statements list of statements to search through
    * @param {string} name name of statement to find
-   * @param {string} type type of statement to find
+   * @param {string[]} types accepted types of statement
    * @param {ContractCollection} contracts collection of contracts resolved by current contract
-   * @returns location of the statement and its model and model statements
+   * @returns {monaco.languages.LocationLink[]} the location of the found statement
    * @memberof SolidityDefinitionProvider
    */
-  async findDirectImport(
-    model,
-    statements,
+  findImportedStatement(
     name,
-    type,
+    types,
     contracts,
   ) {
-    // find in the current file
-    let location = this.findStatementLocationByNameType(model, statements, name, type)
-
-    // find in direct imports if not found in file
-    const contract = contracts.contracts[0]
-    // TODO: when importing contracts with conflict names, which one will Solidity pick? first or last? or error?
-    for (let i = 0; location === undefined && i < contract.imports.length; i++) {
-      const importedContract = await Contract.import(contract.imports[i], await contract.model)
-      if (!importedContract) {
-        continue
-      }
-      model = await importedContract.model
-      let result
-      try {
-        result = solparse.parse(model.getValue())
-      } catch (e) {
-        if (!e.result) {
-          continue
-        }
-        result = e.result
-      }
-      statements = result.body
-      location = this.findStatementLocationByNameType(model, statements, name, type)
-    }
-
-    return {
-      model,
-      location,
-      statements,
+    // Solidity reports an error for conflicting names, so the first one found is as good as any
+    const declaration = findDeclaration(contracts.sources, name, types)
+    if (declaration) {
+      return [this.toLocation(declaration.source.model, declaration.node)]
     }
   }
 
   /**
-   * Find the first statement by its name and type
+   * Convert declarations to locations. When `listOverrides` is on, every override of a function or modifier in the
+   * hierarchy is listed as well.
    *
    * @private
-   * @param {monaco.editor.ITextModel} model model where statements belong, used to convert offset to position
-   * @param {Array<any>} statements list of statements to search through
-   * @param {string} name name of statement to find
-   * @param {string} type type of statement to find
-   * @returns {monaco.languages.LocationLink[]} the location of the found statement
+   * @param {Array<any>} sources current source and its imports
+   * @param {Array<{ node: *, source: * }>} declarations
+   * @returns {monaco.languages.LocationLink[]}
    * @memberof SolidityDefinitionProvider
    */
-  findStatementLocationByNameType(
-    model,
-    statements,
-    name,
-    type,
-  ) {
-    const localDef = statements.find(e => e.type === type && e.name === name)
-    if (localDef !== undefined) {
-      // TODO
+  toLocations(sources, declarations) {
+    if (this.listOverrides) {
+      const expanded = []
+      declarations.forEach(declaration => {
+        const overrides = ['FunctionDeclaration', 'ModifierDeclaration'].includes(declaration.node.type)
+          ? findOverrides(sources, declaration.node)
+          : []
+        ;(overrides.length ? overrides : [declaration]).forEach(override => {
+          if (!expanded.some(({ node }) => node === override.node)) {
+            expanded.push(override)
+          }
+        })
+      })
+      declarations = expanded
+    }
+    return declarations.map(({ node, source }) => {
       const range = monaco.Range.fromPositions(
-        model.getPositionAt(localDef.start),
-        model.getPositionAt(localDef.end)
+        source.model.getPositionAt(node.start),
+        source.model.getPositionAt(node.end)
       )
-      return [{ uri: model.uri, range, targetSelectionRange: range }]
-    }
+      return { uri: source.model.uri, range, targetSelectionRange: range }
+    })
+  }
+
+  /**
+   * @private
+   * @param {monaco.editor.ITextModel} model model where the node belongs, used to convert offset to position
+   * @param {*} node
+   * @returns {monaco.languages.LocationLink} the location of the whole node
+   * @memberof SolidityDefinitionProvider
+   */
+  toLocation(model, node) {
+    const range = monaco.Range.fromPositions(model.getPositionAt(node.start), model.getPositionAt(node.end))
+    return { uri: model.uri, range, targetSelectionRange: range }
   }
 
   /**
@@ -593,31 +597,6 @@ export default class SolidityDefinitionProvider {
    * @memberof SolidityDefinitionProvider
    */
   findElementByOffset(elements, offset) {
-    return elements.find(
-      element => element.start <= offset && offset <= element.end,
-    )
+    return findElementByOffset(elements, offset)
   }
 }
-
-/**
- * Resolve import statement to absolute file path
- *
- * @private
- * @param {string} importPath import statement in *.sol contract
- * @param {Contract} contract the contract where the import statement belongs
- * @returns {string} the absolute path of the imported file
- * @memberof SolidityDefinitionProvider
- */
-function resolveImportPath (importPath, model) {
-  const { path, projectRoot } = BaseProjectManager.instance
-  if (path.isAbsolute(importPath)) {
-    return importPath
-  } else {
-    if (importPath.startsWith('.')) {
-      const { dir } = path.parse(model.uri.path)
-      return path.join(dir, importPath)
-    } else {
-      return path.join(projectRoot, 'node_modules', importPath)
-    }
-  }
-}
\ No newline at end of file
@@ -0,0 +1,307 @@
+import * as monaco from 'monaco-editor'
+
+import codeEditorService from '../overrides'
+import { lint, ruleDocsUrl } from './linter'
+import { loadLintConfig, watchLintConfig, isIgnored } from './lintConfig'
+import { findSyntaxErrors } from './syntax'
+import { compileDiagnostics } from './compiler'
+
+export const MARKER_OWNER = 'solidity-linter'
+export const SYNTAX_MARKER_OWNER = 'solidity-syntax'
+export const COMPILER_MARKER_OWNER = 'solidity-compiler'
+
+// wait for typing to pause before linting
+const DEBOUNCE_DELAY = 500
+
+const SEVERITIES = {
+  error: monaco.MarkerSeverity.Error,
+  warning: monaco.MarkerSeverity.Warning,
+  info: monaco.MarkerSeverity.Info,
+}
+
+export default class SolidityDiagnostics {
+  /**
+   * Lint the Solidity models shown in an editor on content changes and publish the results as model markers. Models
+   * only loaded to resolve imports or to apply edits are left alone until they are opened. Linting runs in a web
+   * worker so large files do not freeze the editor, and on the main thread where workers are not available. The
+   * project's linter config and ignore file are used when it has them, see `loadLintConfig`. Syntax errors are
+   * published under their own owner, whether a linter is selected or not, and so are the errors of the compiler when
+   * `solcFolder` is given.
+   *
+   * @param {{ linter?: string, solcVersion?: string, solcFolder?: string }} option see `lint`, only syntax is checked
+   * without `linter`. See `compileDiagnostics` for `solcFolder`.
+   */
+  constructor (option = {}) {
+    this.option = option
+    this.timers = new Map()
+    // listeners of each watched model
+    this.watchers = new Map()
+    this.disposables = []
+    this.requests = new Map()
+    this.requestId = 0
+    this.worker = this.createWorker()
+  }
+
+  /**
+   * Start watching current and future models, and the editors that show them
+   *
+   * @memberof SolidityDiagnostics
+   */
+  install() {
+    monaco.editor.getModels().forEach(model => this.watch(model))
+    this.disposables.push(monaco.editor.onDidCreateModel(model => this.watch(model)))
+    codeEditorService.listCodeEditors().forEach(editor => this.watchEditor(editor))
+    this.disposables.push(codeEditorService.onCodeEditorAdd(editor => this.watchEditor(editor)))
+    this.disposables.push(watchLintConfig(() => {
+      monaco.editor.getModels().filter(isSolidity).forEach(model => this.schedule(model))
+    }))
+  }
+
+  /**
+   * Change the linter or its option, and lint every model again
+   *
+   * @param {{ linter?: string, solcVersion?: string, solcFolder?: string }} option
+   * @memberof SolidityDiagnostics
+   */
+  setOption(option) {
+    this.option = option
+    monaco.editor.getModels().filter(isSolidity).forEach(model => this.schedule(model))
+  }
+
+  dispose() {
+    this.disposables.forEach(disposable => disposable.dispose())
+    this.disposables = []
+    this.watchers.forEach(disposables => disposables.forEach(disposable => disposable.dispose()))
+    this.watchers.clear()
+    this.timers.forEach(timer => clearTimeout(timer))
+    this.timers.clear()
+    if (this.worker) {
+      this.worker.terminate()
+    }
+  }
+
+  /**
+   * @private
+   * @param {monaco.editor.ITextModel} model
+   * @memberof SolidityDiagnostics
+   */
+  watch(model) {
+    this.watchers.set(model, [
+      model.onDidChangeContent(() => this.schedule(model)),
+      model.onDidChangeLanguage(() => this.schedule(model)),
+      model.onWillDispose(() => {
+        clearTimeout(this.timers.get(model))
+        this.timers.delete(model)
+        this.watchers.get(model).forEach(disposable => disposable.dispose())
+        this.watchers.delete(model)
+      }),
+    ])
+  }
+
+  /**
+   * @private
+   * @param {monaco.editor.ICodeEditor} editor
+   * @memberof SolidityDiagnostics
+   */
+  watchEditor(editor) {
+    this.disposables.push(editor.onDidChangeModel(({ newModelUrl }) => {
+      const model = newModelUrl && monaco.editor.getModel(newModelUrl)
+      if (model) {
+        this.schedule(model)
+      }
+    }))
+    if (editor.getModel()) {
+      this.schedule(editor.getModel())
+    }
+  }
+
+  /**
+   * @private
+   * @param {monaco.editor.ITextModel} model
+   * @memberof SolidityDiagnostics
+   */
+  schedule(model) {
+    if (!isSolidity(model) || !isShown(model)) {
+      return
+    }
+    clearTimeout(this.timers.get(model))
+    this.timers.set(model, setTimeout(() => {
+      this.timers.delete(model)
+      this.validate(model)
+    }, DEBOUNCE_DELAY))
+  }
+
+  /**
+   * Check the syntax of a model, lint it, and replace its markers, unless the model has changed in the meantime.
+   * Problems of the project's linter config are reported at the top of the model. A config that cannot be parsed is
+   * replaced by the bundled one.
+   *
+   * @private
+   * @param {monaco.editor.ITextModel} model
+   * @memberof SolidityDiagnostics
+   */
+  async validate(model) {
+    this.compile(model)
+    const { linter } = this.option
+    const versionId = model.getVersionId()
+    let result
+    let errors = []
+    try {
+      let option
+      if (linter) {
+        const config = await loadLintConfig()
+        if (!isIgnored(config.ignore[linter] || [], model.uri.path)) {
+          errors = config.errors.filter(error => error.linter === linter)
+          option = { ...this.option, config: config[linter] }
+        }
+      }
+      result = await this.run(model.getValue(), option)
+    } catch (e) {
+      console.warn(e)
+      return
+    }
+    if (model.isDisposed() || model.getVersionId() !== versionId) {
+      return
+    }
+    const { syntaxErrors, diagnostics } = result
+    monaco.editor.setModelMarkers(
+      model,
+      SYNTAX_MARKER_OWNER,
+      syntaxErrors.map(error => toMarker(model, 'solidity', error)),
+    )
+    monaco.editor.setModelMarkers(model, MARKER_OWNER, [
+      ...errors.map(error => toMarker(model, linter, {
+        type: 'warning',
+        row: 1,
+        column: 1,
+        text: `${error.file}: ${error.message}`,
+      })),
+      // parse errors of the linter repeat the syntax errors
+      ...diagnostics
+        .filter(diagnostic => diagnostic.rule || !syntaxErrors.length)
+        .map(diagnostic => toMarker(model, linter, diagnostic)),
+    ])
+  }
+
+  /**
+   * Compile a model with its imports and replace its compiler markers, unless the model has changed in the meantime
+   *
+   * @private
+   * @param {monaco.editor.ITextModel} model
+   * @memberof SolidityDiagnostics
+   */
+  async compile(model) {
+    if (!this.option.solcFolder) {
+      monaco.editor.setModelMarkers(model, COMPILER_MARKER_OWNER, [])
+      return
+    }
+    const versionId = model.getVersionId()
+    let diagnostics
+    try {
+      diagnostics = await compileDiagnostics(model, this.option)
+    } catch (e) {
+      console.warn(e)
+      return
+    }
+    if (model.isDisposed() || model.getVersionId() !== versionId) {
+      return
+    }
+    monaco.editor.setModelMarkers(
+      model,
+      COMPILER_MARKER_OWNER,
+      diagnostics.map(diagnostic => toMarker(model, 'solc', diagnostic)),
+    )
+  }
+
+  /**
+   * @private
+   * @param {string} code
+   * @param {*} option see `lint`, the code is not linted without it
+   * @returns {Promise<{ syntaxErrors: Array<any>, diagnostics: Array<any> }>} see `findSyntaxErrors` and `lint`
+   * @memberof SolidityDiagnostics
+   */
+  run(code, option) {
+    if (!this.worker) {
+      return Promise.resolve({
+        syntaxErrors: findSyntaxErrors(code),
+        diagnostics: (option && lint(code, option)) || [],
+      })
+    }
+    const id = ++this.requestId
+    return new Promise((resolve, reject) => {
+      this.requests.set(id, { resolve, reject })
+      this.worker.postMessage({ id, code, option })
+    })
+  }
+
+  /**
+   * @private
+   * @returns {Worker} the lint worker, or undefined if workers are not available
+   * @memberof SolidityDiagnostics
+   */
+  createWorker() {
+    if (typeof Worker === 'undefined') {
+      return
+    }
+    let worker
+    try {
+      worker = new Worker(new URL('./lint.worker.js', import.meta.url), { type: 'module' })
+    } catch (e) {
+      console.warn(e)
+      return
+    }
+    worker.onmessage = ({ data }) => {
+      const request = this.requests.get(data.id)
+      this.requests.delete(data.id)
+      if (!request) {
+        return
+      }
+      if (data.error) {
+        request.reject(new Error(data.error))
+      } else {
+        request.resolve(data)
+      }
+    }
+    worker.onerror = e => {
+      // the worker cannot start e.g. it is not bundled by the host, lint on the main thread from now on
+      console.warn(e)
+      this.worker = undefined
+      this.requests.forEach(({ reject }) => reject(new Error('Lint worker failed')))
+      this.requests.clear()
+      monaco.editor.getModels().filter(isSolidity).forEach(model => this.schedule(model))
+    }
+    return worker
+  }
+}
+
+function isSolidity (model) {
+  return model.getModeId() === 'solidity'
+}
+
+function isShown (model) {
+  return codeEditorService.listCodeEditors().some(editor => editor.getModel() === model)
+}
+
+function toMarker (model, linter, diagnostic) {
+  const startLineNumber = Math.min(Math.max(diagnostic.row, 1), model.getLineCount())
+  const startColumn = Math.min(Math.max(diagnostic.column, 1), model.getLineMaxColumn(startLineNumber))
+  let endLineNumber = diagnostic.endRow || startLineNumber
+  let endColumn = diagnostic.endColumn
+  if (!endColumn || (endLineNumber === startLineNumber && endColumn <= startColumn)) {
+    // underline the word at the start, or a single character
+    const word = model.getWordAtPosition({ lineNumber: startLineNumber, column: startColumn })
+    endLineNumber = startLineNumber
+    endColumn = word ? word.endColumn : Math.min(startColumn + 1, model.getLineMaxColumn(startLineNumber))
+  }
+  const docsUrl = diagnostic.rule && ruleDocsUrl(linter, diagnostic.rule)
+  return {
+    severity: SEVERITIES[diagnostic.type] || monaco.MarkerSeverity.Warning,
+    message: diagnostic.text,
+    source: linter,
+    code: diagnostic.rule && (docsUrl ? { value: diagnostic.rule, target: monaco.Uri.parse(docsUrl) } : diagnostic.rule),
+    startLineNumber,
+    startColumn,
+    endLineNumber,
+    endColumn,
+  }
+}
@@ -0,0 +1,164 @@
+import * as monaco from 'monaco-editor'
+
+import symbolIndex from './SymbolIndex'
+import { findNameOffset, typeToString, describeDeclaration } from './ast'
+
+const CONTAINER_KINDS = {
+  ContractStatement: monaco.languages.SymbolKind.Class,
+  InterfaceStatement: monaco.languages.SymbolKind.Interface,
+  LibraryStatement: monaco.languages.SymbolKind.Module,
+}
+
+// functions without a name, shown by the keyword that declares them
+const UNNAMED_FUNCTIONS = {
+  ConstructorDeclaration: 'constructor',
+  FallbackDeclaration: 'fallback',
+  ReceiveDeclaration: 'receive',
+  // fallback functions before 0.6 are functions without a name
+  FunctionDeclaration: 'fallback',
+}
+
+export default class SolidityDocumentSymbolProvider {
+  /**
+   * Provide the outline of a Solidity file: contracts, interfaces and libraries with their members, and the structs,
+   * enums and errors declared at the top level. Used by "Go to Symbol" and the breadcrumbs.
+   *
+   * @param {monaco.editor.ITextModel} model
+   * @returns {(Thenable<monaco.languages.DocumentSymbol[]>)}
+   * @memberof SolidityDocumentSymbolProvider
+   */
+  provideDocumentSymbols(
+    model,
+  ) {
+    const result = symbolIndex.parse(model)
+    if (!result) {
+      return []
+    }
+    const code = model.getValue()
+    return result.body
+      .map(node => this.toSymbol(model, code, node))
+      .filter(Boolean)
+  }
+
+  /**
+   * @private
+   * @param {monaco.editor.ITextModel} model
+   * @param {string} code
+   * @param {*} node
+   * @returns {monaco.languages.DocumentSymbol} the symbol, or undefined if the node does not declare one
+   * @memberof SolidityDocumentSymbolProvider
+   */
+  toSymbol(model, code, node) {
+    const { SymbolKind } = monaco.languages
+    switch (node.type) {
+      case 'ContractStatement':
+      case 'InterfaceStatement':
+      case 'LibraryStatement':
+        return this.createSymbol(model, code, node, node.name, CONTAINER_KINDS[node.type], '', node.body
+          .map(member => this.toSymbol(model, code, member))
+          .filter(Boolean))
+      case 'FunctionDeclaration':
+      case 'ConstructorDeclaration':
+      case 'FallbackDeclaration':
+      case 'ReceiveDeclaration': {
+        const name = node.name || UNNAMED_FUNCTIONS[node.type]
+        const kind = node.type === 'ConstructorDeclaration' ? SymbolKind.Constructor : SymbolKind.Method
+        return this.createSymbol(model, code, node, name, kind, this.describeSignature(code, node, name))
+      }
+      case 'ModifierDeclaration':
+        return this.createSymbol(model, code, node, node.name, SymbolKind.Method, 'modifier')
+      case 'EventDeclaration':
+        return this.createSymbol(model, code, node, node.name, SymbolKind.Event, 'event')
+      case 'ErrorDeclaration':
+        return this.createSymbol(model, code, node, node.name, SymbolKind.Event, 'error')
+      case 'StructDeclaration':
+        return this.createSymbol(model, code, node, node.name, SymbolKind.Struct, '', (node.body || [])
+          .map(field => {
+            return this.createSymbol(model, code, field, field.name, SymbolKind.Field, typeToString(field.literal))
+          }))
+      case 'EnumDeclaration':
+        return this.createSymbol(model, code, node, node.name, SymbolKind.Enum, '', (node.members || [])
+          .map(member => this.createEnumMember(model, code, node, member)))
+      case 'StateVariableDeclaration':
+        return this.createSymbol(
+          model,
+          code,
+          node,
+          node.name,
+          node.is_constant ? SymbolKind.Constant : SymbolKind.Field,
+          typeToString(node.literal),
+        )
+    }
+  }
+
+  /**
+   * @private
+   * @param {monaco.editor.ITextModel} model
+   * @param {string} code
+   * @param {*} node
+   * @param {string} name the name of the symbol, or the keyword that declares it when it has no name
+   * @param {monaco.languages.SymbolKind} kind
+   * @param {string} detail
+   * @param {monaco.languages.DocumentSymbol[]} children
+   * @returns {monaco.languages.DocumentSymbol}
+   * @memberof SolidityDocumentSymbolProvider
+   */
+  createSymbol(model, code, node, name, kind, detail, children = []) {
+    const range = toRange(model, node.start, node.end)
+    const nameOffset = findNameOffset(code, node, name)
+    return {
+      name,
+      detail,
+      kind,
+      tags: [],
+      range,
+      selectionRange: nameOffset === -1 ? range : toRange(model, nameOffset, nameOffset + name.length),
+      children,
+    }
+  }
+
+  /**
+   * @private
+   * @param {monaco.editor.ITextModel} model
+   * @param {string} code
+   * @param {*} node `EnumDeclaration` node
+   * @param {string} member enum value, solparse records the names of the values only
+   * @returns {monaco.languages.DocumentSymbol}
+   * @memberof SolidityDocumentSymbolProvider
+   */
+  createEnumMember(model, code, node, member) {
+    // the values follow the opening brace, the name of the enum itself cannot be matched there
+    const body = { start: code.indexOf('{', node.start), end: node.end }
+    const offset = findNameOffset(code, body, member)
+    const range = offset === -1 ? toRange(model, node.start, node.end) : toRange(model, offset, offset + member.length)
+    return {
+      name: member,
+      detail: '',
+      kind: monaco.languages.SymbolKind.EnumMember,
+      tags: [],
+      range,
+      selectionRange: range,
+      children: [],
+    }
+  }
+
+  /**
+   * Describe a function by what follows its name e.g. `(address to, uint amount) public returns (bool)`
+   *
+   * @private
+   * @param {string} code
+   * @param {*} node
+   * @param {string} name
+   * @returns {string}
+   * @memberof SolidityDocumentSymbolProvider
+   */
+  describeSignature(code, node, name) {
+    const declaration = describeDeclaration(code, node)
+    const index = findNameOffset(declaration, { start: 0, end: declaration.length }, name)
+    return index === -1 ? declaration : declaration.slice(index + name.length).trim()
+  }
+}
+
+function toRange (model, start, end) {
+  return monaco.Range.fromPositions(model.getPositionAt(start), model.getPositionAt(end))
+}
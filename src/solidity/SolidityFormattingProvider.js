@@ -0,0 +1,133 @@
+import * as monaco from 'monaco-editor'
+
+import solhintRules from './solhint.json'
+import soliumRules from './soliumrc.json'
+import { loadLintConfig } from './lintConfig'
+import { format, formatLines, lintStyle } from './formatter'
+
+const BUNDLED_CONFIGS = {
+  solhint: solhintRules,
+  solium: soliumRules,
+}
+
+export default class SolidityFormattingProvider {
+  autoFormatTriggerCharacters = ['}', ';', '\n']
+
+  /**
+   * Format Solidity documents, ranges and lines as they are typed. The options come from, by priority:
+   * `option.format`, the style rules of the linter config (the project's or the bundled one) so formatted code passes
+   * the linter, and the indentation of the editor. See `DEFAULT_FORMAT_OPTIONS` for the options.
+   *
+   * @param {{ linter?: string, format?: * }} option `linter` is the selected linter, solhint rules are used without it
+   */
+  constructor (option = {}) {
+    this.option = option
+  }
+
+  /**
+   * @param {string} linter
+   * @memberof SolidityFormattingProvider
+   */
+  setLinter(linter) {
+    this.option = { ...this.option, linter }
+  }
+
+  /**
+   * @param {monaco.editor.ITextModel} model
+   * @param {monaco.languages.FormattingOptions} options
+   * @returns {(Thenable<monaco.languages.TextEdit[]>)}
+   * @memberof SolidityFormattingProvider
+   */
+  async provideDocumentFormattingEdits(
+    model,
+    options,
+  ) {
+    const code = model.getValue()
+    const formatted = format(code, await this.resolveOptions(options))
+    if (formatted === code) {
+      return []
+    }
+    // the editor narrows it down to the lines that changed
+    return [{ range: model.getFullModelRange(), text: formatted }]
+  }
+
+  /**
+   * @param {monaco.editor.ITextModel} model
+   * @param {monaco.Range} range
+   * @param {monaco.languages.FormattingOptions} options
+   * @returns {(Thenable<monaco.languages.TextEdit[]>)}
+   * @memberof SolidityFormattingProvider
+   */
+  async provideDocumentRangeFormattingEdits(
+    model,
+    range,
+    options,
+  ) {
+    // a selection ending at the start of a line does not include that line
+    const endLineNumber = range.endColumn === 1 && range.endLineNumber > range.startLineNumber
+      ? range.endLineNumber - 1
+      : range.endLineNumber
+    return this.formatLines(model, range.startLineNumber, endLineNumber, await this.resolveOptions(options))
+  }
+
+  /**
+   * Format the line where `}` or `;` is typed, or the line left with Enter
+   *
+   * @param {monaco.editor.ITextModel} model
+   * @param {monaco.Position} position
+   * @param {string} ch
+   * @param {monaco.languages.FormattingOptions} options
+   * @returns {(Thenable<monaco.languages.TextEdit[]>)}
+   * @memberof SolidityFormattingProvider
+   */
+  async provideOnTypeFormattingEdits(
+    model,
+    position,
+    ch,
+    options,
+  ) {
+    // the new line keeps the indentation the editor gave it
+    const lineNumber = ch === '\n' ? position.lineNumber - 1 : position.lineNumber
+    if (lineNumber < 1) {
+      return []
+    }
+    return this.formatLines(model, lineNumber, lineNumber, await this.resolveOptions(options))
+  }
+
+  /**
+   * @private
+   * @param {monaco.editor.ITextModel} model
+   * @param {number} startLineNumber
+   * @param {number} endLineNumber
+   * @param {*} options see `DEFAULT_FORMAT_OPTIONS`
+   * @returns {monaco.languages.TextEdit[]}
+   * @memberof SolidityFormattingProvider
+   */
+  formatLines(model, startLineNumber, endLineNumber, options) {
+    const range = new monaco.Range(startLineNumber, 1, endLineNumber, model.getLineMaxColumn(endLineNumber))
+    const text = formatLines(model.getValue(), startLineNumber, endLineNumber, options).join(model.getEOL())
+    return text === model.getValueInRange(range) ? [] : [{ range, text }]
+  }
+
+  /**
+   * @private
+   * @param {monaco.languages.FormattingOptions} options options of the editor
+   * @returns {Promise<*>} see `DEFAULT_FORMAT_OPTIONS`
+   * @memberof SolidityFormattingProvider
+   */
+  async resolveOptions(options) {
+    const linter = this.option.linter || 'solhint'
+    let config
+    try {
+      config = (await loadLintConfig())[linter]
+    } catch (e) {
+      console.warn(e)
+    }
+    return {
+      tabSize: options.tabSize,
+      insertSpaces: options.insertSpaces,
+      ...lintStyle(linter, config || BUNDLED_CONFIGS[linter]),
+      ...this.option.format,
+    }
+  }
+}
@@ -0,0 +1,205 @@
+import * as monaco from 'monaco-editor'
+
+import Contract from './Contract'
+import symbolIndex from './SymbolIndex'
+import SolidityDefinitionProvider from './SolidityDefinitionProvider'
+import globals from './globals.json'
+import { selector } from './abi'
+import { parseNatSpec } from './natspec'
+import {
+  walk,
+  findNameOffset,
+  describeDeclaration,
+} from './ast'
+
+// member accesses may resolve to several declarations, don't flood the hover
+const MAX_DECLARATIONS = 5
+
+const DECLARATION_TYPES = [
+  'ContractStatement',
+  'InterfaceStatement',
+  'LibraryStatement',
+  'FunctionDeclaration',
+  'ModifierDeclaration',
+  'EventDeclaration',
+  'ErrorDeclaration',
+  'StructDeclaration',
+  'EnumDeclaration',
+  'StateVariableDeclaration',
+  'DeclarativeExpression',
+  'InformalParameter',
+]
+
+export default class SolidityHoverProvider {
+  constructor () {
+    this.definitionProvider = new SolidityDefinitionProvider()
+  }
+
+  /**
+   * Provide hover for the identifier under cursor. The symbol is resolved by the definition provider, and the hover
+   * shows its declaration, its NatSpec documentation, and the selector for functions and errors. Hovering over the
+   * name of a declaration describes the declaration itself.
+   *
+   * @param {monaco.editor.ITextModel} model
+   * @param {monaco.Position} position
+   * @returns {(Thenable<monaco.languages.Hover>)}
+   * @memberof SolidityHoverProvider
+   */
+  async provideHover(
+    model,
+    position,
+  ) {
+    const word = model.getWordAtPosition(position)
+    if (!word) {
+      return
+    }
+    const range = new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn)
+
+    const declarations = await this.findDeclarations(model, position, word.word)
+    if (!declarations.length) {
+      const builtin = this.describeBuiltin(model, position, word)
+      return builtin && { range, contents: builtin }
+    }
+
+    const contents = []
+    for (const declaration of declarations.slice(0, MAX_DECLARATIONS)) {
+      contents.push(...await this.describe(declaration))
+    }
+    return { range, contents }
+  }
+
+  /**
+   * Find the declarations of the symbol under cursor
+   *
+   * @private
+   * @param {monaco.editor.ITextModel} model
+   * @param {monaco.Position} position
+   * @param {string} name
+   * @returns {Promise<Array<{ model: monaco.editor.ITextModel, statements: Array<any>, node: * }>>}
+   * @memberof SolidityHoverProvider
+   */
+  async findDeclarations(model, position, name) {
+    const declarations = []
+    const locations = await this.definitionProvider.provideDefinition(model, position) || []
+    for (const location of locations) {
+      const targetModel = location.uri.path === model.uri.path ? model : await new Contract(location.uri.path).model
+      const result = symbolIndex.parse(targetModel)
+      if (!result) {
+        continue
+      }
+      const offset = targetModel.getOffsetAt(location.range.getStartPosition())
+      let node
+      walk(result.body, element => {
+        if (!node && element.start === offset && (element.name || element.id)) {
+          node = element
+        }
+        return !node
+      })
+      if (node) {
+        declarations.push({ model: targetModel, statements: result.body, node })
+      }
+    }
+    if (declarations.length) {
+      return declarations
+    }
+
+    // the cursor may be on the name of a declaration
+    const code = model.getValue()
+    const result = symbolIndex.parse(model)
+    if (!result) {
+      return declarations
+    }
+    const offset = model.getOffsetAt(position)
+    walk(result.body, element => {
+      if ((element.name === name || element.id === name) && DECLARATION_TYPES.includes(element.type)) {
+        const nameOffset = findNameOffset(code, element, name)
+        if (nameOffset !== -1 && nameOffset <= offset && offset <= nameOffset + name.length) {
+          declarations.push({ model, statements: result.body, node: element })
+        }
+      }
+    })
+    return declarations
+  }
+
+  /**
+   * @private
+   * @param {{ model: monaco.editor.ITextModel, statements: Array<any>, node: * }} declaration
+   * @returns {Promise<monaco.IMarkdownString[]>}
+   * @memberof SolidityHoverProvider
+   */
+  async describe({ model, statements, node }) {
+    const code = model.getValue()
+    const contents = [{ value: ['```solidity', describeDeclaration(code, node), '```'].join('\n') }]
+
+    const natspec = parseNatSpec(code, node)
+    const documentation = []
+    if (natspec.title) {
+      documentation.push(`**${natspec.title}**`)
+    }
+    if (natspec.notice) {
+      documentation.push(natspec.notice)
+    }
+    if (natspec.dev) {
+      documentation.push(`*@dev* ${natspec.dev}`)
+    }
+    Object.keys(natspec.params).forEach(param => {
+      documentation.push(`*@param* \`${param}\` ${natspec.params[param]}`)
+    })
+    natspec.returns.forEach(text => documentation.push(`*@return* ${text}`))
+    if (natspec.inheritdoc) {
+      documentation.push(`*@inheritdoc* ${natspec.inheritdoc}`)
+    }
+    if (documentation.length) {
+      contents.push({ value: documentation.join('\n\n') })
+    }
+
+    if ((node.type === 'FunctionDeclaration' && node.name) || node.type === 'ErrorDeclaration') {
+      const sources = await Contract.importAll(model, statements)
+      const resolveType = name => findTypeDeclaration(sources, name)
+      contents.push({ value: `Selector: \`${selector(node, resolveType)}\`` })
+    }
+    return contents
+  }
+
+  /**
+   * Describe global variables and functions e.g. `msg`, `msg.sender` and `require`
+   *
+   * @private
+   * @param {monaco.editor.ITextModel} model
+   * @param {monaco.Position} position
+   * @param {monaco.editor.IWordAtPosition} word
+   * @returns {monaco.IMarkdownString[]}
+   * @memberof SolidityHoverProvider
+   */
+  describeBuiltin(model, position, word) {
+    const linePrefix = model.getLineContent(position.lineNumber).slice(0, word.startColumn - 1)
+    const member = /([\w$]+)\s*\.\s*$/.exec(linePrefix)
+    let declaration
+    if (member) {
+      const type = globals.variables[member[1]]?.members[word.word]
+      declaration = type && (type.startsWith('function') ? type : `${type} ${member[1]}.${word.word}`)
+    } else if (globals.variables[word.word]) {
+      return [{ value: `\`${word.word}\`: ${globals.variables[word.word].detail}` }]
+    } else {
+      declaration = globals.functions[word.word]
+    }
+    return declaration && [{ value: ['```solidity', declaration, '```'].join('\n') }]
+  }
+}
+
+function findTypeDeclaration (sources, name) {
+  const types = ['StructDeclaration', 'EnumDeclaration', 'ContractStatement', 'InterfaceStatement']
+  for (const { statements } of sources) {
+    for (const element of statements) {
+      if (element.name === name && types.includes(element.type)) {
+        return element
+      }
+      const member = element.body instanceof Array && element.body.find(member =>
+        member.name === name && types.includes(member.type)
+      )
+      if (member) {
+        return member
+      }
+    }
+  }
+}
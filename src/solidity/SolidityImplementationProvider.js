@@ -0,0 +1,117 @@
+import * as monaco from 'monaco-editor'
+
+import Contract from './Contract'
+import symbolIndex from './SymbolIndex'
+import SolidityDefinitionProvider from './SolidityDefinitionProvider'
+import { walk, findNameOffset } from './ast'
+import { loadWorkspaceSources } from './project'
+import { findSubtypes, findImplementations } from './types'
+
+// declarations that can be implemented
+const TARGET_TYPES = ['ContractStatement', 'InterfaceStatement', 'FunctionDeclaration']
+
+export default class SolidityImplementationProvider {
+  constructor () {
+    this.definitionProvider = new SolidityDefinitionProvider()
+  }
+
+  /**
+   * Provide the implementations of the interface, abstract contract or function under cursor, either its name in the
+   * declaration or a reference to it. Implementations of a function are the overrides with a body and the public
+   * state variables of the same name in the descendants of its contract. Implementations of an interface or a
+   * contract are the non-abstract contracts that inherit from it. Every file of the project is searched.
+   *
+   * @param {monaco.editor.ITextModel} model
+   * @param {monaco.Position} position
+   * @returns {(Thenable<monaco.languages.Location[]>)}
+   * @memberof SolidityImplementationProvider
+   */
+  async provideImplementation(
+    model,
+    position,
+  ) {
+    const target = await this.findTarget(model, position)
+    if (!target) {
+      return
+    }
+    const sources = await this.loadSources(model)
+    const implementations = target.node.type === 'FunctionDeclaration'
+      ? findImplementations(sources, target.node)
+      : findSubtypes(sources, target.node).filter(({ node }) => node.type === 'ContractStatement' && !node.is_abstract)
+    return implementations.map(({ node, source }) => ({
+      uri: source.model.uri,
+      range: monaco.Range.fromPositions(source.model.getPositionAt(node.start), source.model.getPositionAt(node.end)),
+    }))
+  }
+
+  /**
+   * Find the declaration under cursor, either its name or a reference to it
+   *
+   * @param {monaco.editor.ITextModel} model
+   * @param {monaco.Position} position
+   * @param {string[]} types accepted declaration types, contracts, interfaces and functions by default
+   * @returns {Promise<{ model: monaco.editor.ITextModel, node: * }>}
+   * @memberof SolidityImplementationProvider
+   */
+  async findTarget(model, position, types = TARGET_TYPES) {
+    const word = model.getWordAtPosition(position)
+    const result = symbolIndex.parse(model)
+    if (!word || !result) {
+      return
+    }
+
+    // the cursor may be on the name of a declaration
+    const code = model.getValue()
+    const offset = model.getOffsetAt(position)
+    let target
+    walk(result.body, element => {
+      if (!target && element.name === word.word && types.includes(element.type)) {
+        const nameOffset = findNameOffset(code, element, word.word)
+        if (nameOffset !== -1 && nameOffset <= offset && offset <= nameOffset + word.word.length) {
+          target = { model, node: element }
+        }
+      }
+      return !target
+    })
+    if (target) {
+      return target
+    }
+
+    const locations = await this.definitionProvider.provideDefinition(model, position) || []
+    for (const location of locations) {
+      const targetModel = location.uri.path === model.uri.path ? model : await new Contract(location.uri.path).model
+      const targetResult = symbolIndex.parse(targetModel)
+      if (!targetResult) {
+        continue
+      }
+      const start = targetModel.getOffsetAt(location.range.getStartPosition())
+      walk(targetResult.body, element => {
+        if (!target && element.start === start && types.includes(element.type)) {
+          target = { model: targetModel, node: element }
+        }
+        return !target
+      })
+      if (target) {
+        return target
+      }
+    }
+  }
+
+  /**
+   * Every file of the project, the files they import, and the current file with its imports in case it is outside
+   * the project
+   *
+   * @param {monaco.editor.ITextModel} model
+   * @returns {Promise<Array<{ model: monaco.editor.ITextModel, statements: Array<any> }>>}
+   * @memberof SolidityImplementationProvider
+   */
+  async loadSources(model) {
+    const result = symbolIndex.parse(model)
+    const imported = result ? await Contract.importAll(model, result.body) : []
+    const sources = new Map()
+    for (const source of [...imported, ...await loadWorkspaceSources()]) {
+      sources.set(source.model.uri.toString(), source)
+    }
+    return [...sources.values()]
+  }
+}
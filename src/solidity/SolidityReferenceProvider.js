@@ -0,0 +1,314 @@
+import * as monaco from 'monaco-editor'
+
+import Contract from './Contract'
+import symbolIndex from './SymbolIndex'
+import SolidityImplementationProvider from './SolidityImplementationProvider'
+import {
+  walk,
+  isFunctionLike,
+  findEnclosingFunction,
+  findNameOffset,
+} from './ast'
+import { findLocalDeclaration } from './scope'
+import {
+  findDeclaration,
+  findInheritedMembers,
+  findMembers,
+  findOverrides,
+  findScope,
+  findUserType,
+  inferType,
+} from './types'
+
+export const DECLARATION_TYPES = [
+  'ContractStatement',
+  'InterfaceStatement',
+  'LibraryStatement',
+  'FunctionDeclaration',
+  'ModifierDeclaration',
+  'EventDeclaration',
+  'ErrorDeclaration',
+  'StructDeclaration',
+  'EnumDeclaration',
+  'StateVariableDeclaration',
+]
+
+// declarations found by name in a contract and its ancestors
+const MEMBER_TYPES = [
+  'FunctionDeclaration',
+  'ModifierDeclaration',
+  'EventDeclaration',
+  'ErrorDeclaration',
+  'StructDeclaration',
+  'EnumDeclaration',
+  'StateVariableDeclaration',
+]
+
+// members whose overrides are the same symbol
+const OVERRIDABLE_TYPES = ['FunctionDeclaration', 'ModifierDeclaration', 'StateVariableDeclaration']
+
+export default class SolidityReferenceProvider {
+  constructor () {
+    this.implementationProvider = new SolidityImplementationProvider()
+  }
+
+  /**
+   * Provide references for the symbol under cursor in Solidity codebase. Parameters and local variables are searched
+   * in the surrounding function only. Anything else (contract, function, modifier, event, struct, enum, state
+   * variable) is searched in the current file and all files it imports transitively, where each occurrence of its
+   * name is resolved like a definition e.g. `token.transfer` by the type of `token`, and kept only when it resolves
+   * to the symbol or one of its overrides.
+   *
+   * @param {monaco.editor.ITextModel} model
+   * @param {monaco.Position} position
+   * @param {monaco.languages.ReferenceContext} context
+   * @returns {(Thenable<monaco.languages.Location[]>)}
+   * @memberof SolidityReferenceProvider
+   */
+  async provideReferences(
+    model,
+    position,
+    context,
+  ) {
+    const word = model.getWordAtPosition(position)
+    if (!word) {
+      return
+    }
+    const result = symbolIndex.parse(model)
+    if (!result) {
+      return
+    }
+    const name = word.word
+    const includeDeclaration = context.includeDeclaration
+
+    const offset = model.getOffsetAt(position)
+    const func = findEnclosingFunction(result.body, offset)
+    const declaration = func && findLocalDeclaration(func, name, offset)
+    if (declaration) {
+      return this.findReferencesInNode(model, func, name, includeDeclaration, declaration)
+    }
+
+    const sources = await Contract.importAll(model, result.body)
+    const targets = await this.findTargets(model, position, sources)
+    if (!targets.size) {
+      // not a user-defined symbol e.g. require, msg, uint
+      return
+    }
+
+    const references = []
+    for (const source of sources) {
+      const fileSources = source.model === model ? sources : await Contract.importAll(source.model, source.statements)
+      const resolve = this.createResolver(fileSources, source.statements, targets)
+      references.push(...this.findReferencesInNode(source.model, source.statements, name, includeDeclaration, undefined, resolve))
+    }
+    return references
+  }
+
+  /**
+   * Find the declarations the symbol under cursor stands for: the one it refers to, with its overrides and the
+   * members it overrides for a function, a modifier or a state variable
+   *
+   * @param {monaco.editor.ITextModel} model
+   * @param {monaco.Position} position
+   * @param {Array<any>} sources sources where overrides are searched
+   * @returns {Promise<Set<string>>} the declarations as keys, see `declarationKey`
+   * @memberof SolidityReferenceProvider
+   */
+  async findTargets(model, position, sources) {
+    const target = await this.implementationProvider.findTarget(model, position, DECLARATION_TYPES)
+    const declarations = target ? this.withOverrides(target, sources) : []
+    return new Set(declarations.map(({ node, source }) => declarationKey(source.model, node)))
+  }
+
+  /**
+   * @param {{ model: monaco.editor.ITextModel, node: * }} target a declaration, see
+   * `SolidityImplementationProvider.findTarget`
+   * @param {Array<any>} sources sources where overrides are searched
+   * @returns {Array<{ node: *, source: { model: monaco.editor.ITextModel, statements: Array<any> } }>} the declaration
+   * with its overrides and the members it overrides, see `findTargets`
+   * @memberof SolidityReferenceProvider
+   */
+  withOverrides(target, sources) {
+    const overrides = OVERRIDABLE_TYPES.includes(target.node.type) ? findOverrides(sources, target.node) : []
+    if (overrides.length) {
+      return overrides
+    }
+    const source = sources.find(source => source.model === target.model) ||
+      { model: target.model, statements: symbolIndex.parse(target.model).body }
+    return [{ node: target.node, source }]
+  }
+
+  /**
+   * Resolve occurrences of a name in a file the way the definition provider does, to tell whether they refer to the
+   * target declarations. Member accesses are resolved by the type of their object, other names by the members of the
+   * surrounding contract and its ancestors, then by the declarations of the file and its imports.
+   *
+   * @param {Array<any>} sources the file and its imports
+   * @param {Array<any>} statements top level statements of the file
+   * @param {Set<string>} targets see `findTargets`
+   * @returns {Function} called with `(element, ancestors)` for an occurrence, returns whether it refers to a target
+   * @memberof SolidityReferenceProvider
+   */
+  createResolver(sources, statements, targets) {
+    const isTarget = declarations => declarations.some(declaration =>
+      Boolean(declaration) && targets.has(declarationKey(declaration.source.model, declaration.node))
+    )
+    const inChain = (scope, name, types) => scope.chain.length
+      ? findInheritedMembers(sources, scope.chain, name, types)
+      : []
+
+    return (element, ancestors) => {
+      const scope = findScope(sources, statements, element.start)
+      const parent = ancestors[ancestors.length - 1]
+      switch (element.type) {
+        case 'Identifier': {
+          if (parent && parent.type === 'MemberExpression' && parent.property === element && !parent.computed) {
+            // e.g. token.transfer, where the type of token tells which transfer
+            const objectType = inferType(parent.object, scope, sources)
+            return Boolean(objectType) && isTarget(findMembers(objectType, element.name, scope, sources))
+          }
+          const members = inChain(scope, element.name, MEMBER_TYPES)
+          if (members.length) {
+            return isTarget(members)
+          }
+          return isTarget([
+            findUserType(sources, element.name, scope.chain) ||
+            findDeclaration(sources, element.name, DECLARATION_TYPES),
+          ])
+        }
+        case 'ModifierArgument':
+        case 'ModifierName': {
+          // a modifier, or the constructor of a base contract
+          const modifiers = inChain(scope, element.name, ['ModifierDeclaration'])
+          return isTarget(modifiers.length ? modifiers : [findUserType(sources, element.name, scope.chain)])
+        }
+        case 'Type': {
+          let declaration = findUserType(sources, element.literal, scope.chain)
+          for (const member of element.members || []) {
+            // scoped type e.g. MyContract.Struct
+            const node = declaration && declaration.node.body instanceof Array &&
+              declaration.node.body.find(child => child.name === member)
+            declaration = node && { node, source: declaration.source }
+          }
+          return isTarget([declaration])
+        }
+        case 'Symbol':
+        case 'UsingStatement':
+          return isTarget([findDeclaration(sources, element.name || element.library, DECLARATION_TYPES)])
+        default:
+          // a declaration of the file itself, the first of its sources
+          return isTarget([{ node: element, source: sources[0] }])
+      }
+    }
+  }
+
+  /**
+   * Find every occurrence of a name in a node and its children
+   *
+   * @private
+   * @param {monaco.editor.ITextModel} model model where the node belongs, used to convert offset to position
+   * @param {*} node node to search through, either a single node or a list of statements
+   * @param {string} name name of the symbol
+   * @param {boolean} includeDeclaration whether to include the declaration itself
+   * @param {*} local declaration of the symbol if it is a local variable or a parameter in `node`
+   * @param {Function} resolve tells whether an occurrence of a symbol that is not local refers to it, see
+   * `createResolver`. Every occurrence is kept without it.
+   * @returns {monaco.languages.Location[]}
+   * @memberof SolidityReferenceProvider
+   */
+  findReferencesInNode(
+    model,
+    node,
+    name,
+    includeDeclaration,
+    local,
+    resolve = () => true,
+  ) {
+    const code = model.getValue()
+    const offsets = []
+    // an identifier refers to the symbol only if no other local with the same name is visible there
+    const refersToSymbol = (element, ancestors) => {
+      const parent = ancestors[ancestors.length - 1]
+      if (local && parent.type === 'MemberExpression' && parent.property === element && !parent.computed) {
+        return false
+      }
+      const func = ancestors.find(isFunctionLike)
+      if ((func && findLocalDeclaration(func, name, element.start)) !== local) {
+        return false
+      }
+      return Boolean(local) || resolve(element, ancestors)
+    }
+
+    walk(node, (element, ancestors) => {
+      switch (element.type) {
+        case 'Identifier':
+          if (element.name === name && refersToSymbol(element, ancestors)) {
+            offsets.push(element.start)
+          }
+          break
+        case 'ModifierArgument':
+        case 'ModifierName':
+          if (element.name === name && resolve(element, ancestors)) {
+            offsets.push(element.start)
+          }
+          break
+        case 'Symbol':
+          if (element.name === name && resolve(element, ancestors)) {
+            offsets.push(element.start)
+          }
+          break
+        case 'UsingStatement':
+          if (element.library === name && resolve(element, ancestors)) {
+            offsets.push(findNameOffset(code, element, name))
+          }
+          break
+        case 'Type':
+          if (element.literal === name && resolve({ ...element, members: [] }, ancestors)) {
+            offsets.push(element.start)
+          } else if (typeof element.literal === 'string' && element.members instanceof Array && element.members.includes(name)) {
+            // scoped type e.g. MyContract.Struct
+            const members = element.members.slice(0, element.members.indexOf(name) + 1)
+            if (resolve({ ...element, members }, ancestors)) {
+              offsets.push(findNameOffset(code, { start: element.start + element.literal.length, end: element.end }, name))
+            }
+          }
+          break
+        case 'InformalParameter':
+        case 'DeclarativeExpression':
+          if (includeDeclaration && element === local) {
+            offsets.push(findNameOffset(code, element, name))
+          }
+          break
+        default:
+          if (includeDeclaration && !local && DECLARATION_TYPES.includes(element.type) && element.name === name &&
+            resolve(element, ancestors)) {
+            offsets.push(findNameOffset(code, element, name))
+          }
+          break
+      }
+    })
+
+    const uri = model.uri
+    return offsets
+      .filter(offset => offset >= 0)
+      .sort((a, b) => a - b)
+      .map(offset => ({
+        uri,
+        range: monaco.Range.fromPositions(
+          model.getPositionAt(offset),
+          model.getPositionAt(offset + name.length),
+        ),
+      }))
+  }
+}
+
+/**
+ * Identify a declaration across parses of its file
+ *
+ * @param {monaco.editor.ITextModel} model model where the declaration belongs
+ * @param {*} node declaration node
+ * @returns {string}
+ */
+export function declarationKey (model, node) {
+  return `${model.uri.toString()}:${node.start}`
+}
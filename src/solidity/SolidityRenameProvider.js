@@ -0,0 +1,224 @@
+import * as monaco from 'monaco-editor'
+
+import Contract from './Contract'
+import symbolIndex from './SymbolIndex'
+import SolidityReferenceProvider, { DECLARATION_TYPES, declarationKey } from './SolidityReferenceProvider'
+import { loadProjectSources, findDependents } from './project'
+import {
+  walk,
+  isFunctionLike,
+  findEnclosingFunction,
+  localDeclarations,
+} from './ast'
+import { findLocalDeclaration } from './scope'
+
+const RESERVED_WORDS = [
+  'abstract', 'address', 'anonymous', 'as', 'assembly', 'bool', 'break', 'bytes', 'calldata', 'catch', 'constant',
+  'constructor', 'continue', 'contract', 'delete', 'do', 'else', 'emit', 'enum', 'error', 'event', 'external',
+  'fallback', 'false', 'for', 'function', 'if', 'immutable', 'import', 'indexed', 'interface', 'internal', 'is',
+  'library', 'mapping', 'memory', 'modifier', 'new', 'override', 'payable', 'pragma', 'private', 'public', 'pure',
+  'receive', 'return', 'returns', 'revert', 'storage', 'string', 'struct', 'super', 'this', 'true', 'try', 'type',
+  'uint', 'int', 'unchecked', 'using', 'var', 'view', 'virtual', 'while',
+]
+
+export default class SolidityRenameProvider {
+  constructor () {
+    this.referenceProvider = new SolidityReferenceProvider()
+  }
+
+  /**
+   * Check whether the symbol under cursor can be renamed. Only symbols declared in the project can be renamed.
+   *
+   * @param {monaco.editor.ITextModel} model
+   * @param {monaco.Position} position
+   * @returns {(Thenable<monaco.languages.RenameLocation & monaco.languages.Rejection>)}
+   * @memberof SolidityRenameProvider
+   */
+  async resolveRenameLocation(
+    model,
+    position,
+  ) {
+    const word = model.getWordAtPosition(position)
+    if (!word || !await this.findTarget(model, position)) {
+      return { rejectReason: 'You cannot rename this element.' }
+    }
+    return {
+      range: new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn),
+      text: word.word,
+    }
+  }
+
+  /**
+   * Rename the symbol under cursor. A parameter or local variable is renamed in its function. Anything else is
+   * renamed with its overrides and the members it overrides, in the files that declare them and in every project
+   * file that imports one of these, directly or indirectly, where only the occurrences resolving to them are renamed
+   * e.g. not `transfer` in `payable(to).transfer(amount)`.
+   *
+   * Every edited file is opened as a model session, so the edit also applies to files without an open tab.
+   *
+   * @param {monaco.editor.ITextModel} model
+   * @param {monaco.Position} position
+   * @param {string} newName
+   * @returns {(Thenable<monaco.languages.WorkspaceEdit & monaco.languages.Rejection>)}
+   * @memberof SolidityRenameProvider
+   */
+  async provideRenameEdits(
+    model,
+    position,
+    newName,
+  ) {
+    if (!/^[a-zA-Z_$][\w$]*$/.test(newName) || RESERVED_WORDS.includes(newName)) {
+      return { edits: [], rejectReason: `'${newName}' is not a valid identifier.` }
+    }
+
+    const target = await this.findTarget(model, position)
+    if (!target) {
+      return { edits: [], rejectReason: 'You cannot rename this element.' }
+    }
+    const { name } = target
+    if (name === newName) {
+      return { edits: [] }
+    }
+
+    if (target.func) {
+      if (localDeclarations(target.func).some(declaration => declaration.name === newName)) {
+        return { edits: [], rejectReason: `'${newName}' is already declared in this scope.` }
+      }
+      const locations = this.referenceProvider.findReferencesInNode(model, target.func, name, true, target.declaration)
+      return { edits: this.toEdits(locations, model, newName) }
+    }
+
+    const projectSources = await loadProjectSources()
+    // overrides may be declared in any file of the project
+    const declarations = this.referenceProvider.withOverrides(target, [...target.sources, ...projectSources])
+    const targets = new Set(declarations.map(({ node, source }) => declarationKey(source.model, node)))
+    // by path, the files declaring the targets and the project files importing them
+    const sources = new Map()
+    for (const { source } of declarations) {
+      const filePath = source.model.uri.path
+      const declaring = projectSources.find(projectSource => projectSource.model.uri.path === filePath) || source
+      for (const dependent of [declaring, ...await findDependents(projectSources, filePath)]) {
+        sources.set(dependent.model.uri.path, dependent)
+      }
+    }
+
+    for (const { model, statements } of sources.values()) {
+      const collision = this.findCollision(statements, name, newName)
+      if (collision) {
+        const position = model.getPositionAt(collision.start)
+        return {
+          edits: [],
+          rejectReason: `'${newName}' is already declared in ${model.uri.path}:${position.lineNumber}.`,
+        }
+      }
+    }
+
+    const edits = []
+    for (const { model, statements } of sources.values()) {
+      const resolve = this.referenceProvider.createResolver(await Contract.importAll(model, statements), statements, targets)
+      const locations = this.referenceProvider.findReferencesInNode(model, statements, name, true, undefined, resolve)
+      edits.push(...this.toEdits(locations, model, newName))
+    }
+    return { edits }
+  }
+
+  /**
+   * Find what the symbol under cursor refers to
+   *
+   * @private
+   * @param {monaco.editor.ITextModel} model
+   * @param {monaco.Position} position
+   * @returns {Promise<{ name: string, func?: *, declaration?: *, model?: *, node?: *, sources?: Array<any> }>} the
+   * enclosing function and the declaration for a local symbol, or the declaration of a global symbol with its model,
+   * and the current source and its imports
+   * @memberof SolidityRenameProvider
+   */
+  async findTarget(model, position) {
+    const word = model.getWordAtPosition(position)
+    const result = word && symbolIndex.parse(model)
+    if (!result) {
+      return
+    }
+    const name = word.word
+
+    const offset = model.getOffsetAt(position)
+    const func = findEnclosingFunction(result.body, offset)
+    const declaration = func && findLocalDeclaration(func, name, offset)
+    if (declaration) {
+      return { name, func, declaration }
+    }
+
+    const target = await this.referenceProvider.implementationProvider.findTarget(model, position, DECLARATION_TYPES)
+    if (target) {
+      return { name, model: target.model, node: target.node, sources: await Contract.importAll(model, result.body) }
+    }
+  }
+
+  /**
+   * Find a declaration that conflicts with the new name, either a declaration with the same name in the file or a
+   * local variable that would capture the renamed symbol in a function using it
+   *
+   * @private
+   * @param {Array<any>} statements top level statements of a file
+   * @param {string} name current name of the symbol
+   * @param {string} newName new name of the symbol
+   * @returns {*} the conflicting declaration, if any
+   * @memberof SolidityRenameProvider
+   */
+  findCollision(statements, name, newName) {
+    let collision
+    walk(statements, node => {
+      if (collision) {
+        return false
+      }
+      if (node.name === newName && this.isDeclaredIn([node], newName)) {
+        collision = node
+      } else if (isFunctionLike(node)) {
+        let usesName = false
+        walk(node, element => {
+          usesName = usesName || (element.type === 'Identifier' && element.name === name)
+        })
+        if (usesName) {
+          collision = localDeclarations(node).find(declaration => declaration.name === newName)?.node
+        }
+        return false
+      }
+    })
+    return collision
+  }
+
+  /**
+   * Whether a contract, library, interface, or any of their members is declared with the given name
+   *
+   * @private
+   * @param {Array<any>} statements top level statements of a file
+   * @param {string} name name of the symbol
+   * @returns {boolean}
+   * @memberof SolidityRenameProvider
+   */
+  isDeclaredIn(statements, name) {
+    return statements.some(element =>
+      (DECLARATION_TYPES.includes(element.type) && element.name === name) ||
+      (element.body instanceof Array && element.body.some(member =>
+        DECLARATION_TYPES.includes(member.type) && member.name === name
+      ))
+    )
+  }
+
+  /**
+   * @private
+   * @param {monaco.languages.Location[]} locations
+   * @param {monaco.editor.ITextModel} model
+   * @param {string} newName
+   * @returns {monaco.languages.WorkspaceTextEdit[]}
+   * @memberof SolidityRenameProvider
+   */
+  toEdits(locations, model, newName) {
+    const modelVersionId = model.getVersionId()
+    return locations.map(({ uri, range }) => ({
+      resource: uri,
+      edit: { range, text: newName },
+      modelVersionId,
+    }))
+  }
+}
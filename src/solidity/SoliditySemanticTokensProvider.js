@@ -0,0 +1,290 @@
+import Contract from './Contract'
+import symbolIndex from './SymbolIndex'
+import { walk, isFunctionLike, findNameOffset } from './ast'
+import { findLocalDeclaration } from './scope'
+import {
+  CONTAINER_TYPES,
+  findDeclaration,
+  findUserType,
+  findInheritanceChain,
+  findInheritedMembers,
+  inferType,
+  findMembers,
+} from './types'
+
+// theme rules match the type followed by the modifiers in this order e.g. `property.storage.modification`
+const TOKEN_TYPES = [
+  'class',
+  'interface',
+  'namespace',
+  'struct',
+  'enum',
+  'enumMember',
+  'event',
+  'type',
+  'function',
+  'decorator',
+  'property',
+  'parameter',
+  'variable',
+]
+
+const TOKEN_MODIFIERS = [
+  'declaration',
+  // constants and immutables
+  'readonly',
+  // state variables, and locals and parameters declared `storage`
+  'storage',
+  // assigned, incremented, decremented or deleted
+  'modification',
+]
+
+const DECLARATION_TYPES = {
+  ContractStatement: 'class',
+  InterfaceStatement: 'interface',
+  LibraryStatement: 'namespace',
+  StructDeclaration: 'struct',
+  EnumDeclaration: 'enum',
+  EventDeclaration: 'event',
+  ErrorDeclaration: 'type',
+  FunctionDeclaration: 'function',
+  ModifierDeclaration: 'decorator',
+  StateVariableDeclaration: 'property',
+  InformalParameter: 'parameter',
+  DeclarativeExpression: 'variable',
+}
+
+// contract members a plain name can refer to
+const MEMBER_TYPES = [
+  'StateVariableDeclaration',
+  'FunctionDeclaration',
+  'ModifierDeclaration',
+  'EventDeclaration',
+  'ErrorDeclaration',
+  'StructDeclaration',
+  'EnumDeclaration',
+]
+
+export default class SoliditySemanticTokensProvider {
+  getLegend() {
+    return { tokenTypes: TOKEN_TYPES, tokenModifiers: TOKEN_MODIFIERS }
+  }
+
+  /**
+   * Classify the names in a Solidity file by what they resolve to: contracts, interfaces, libraries, structs, enums
+   * and their values, events, errors, functions, modifiers, state variables, parameters and locals. Constants and
+   * immutables are `readonly`, state variables and storage pointers are `storage`, and names written to are
+   * `modification`, so storage writes stand out. Names of declarations are `declaration`.
+   *
+   * @param {monaco.editor.ITextModel} model
+   * @returns {(Thenable<monaco.languages.SemanticTokens>)}
+   * @memberof SoliditySemanticTokensProvider
+   */
+  async provideDocumentSemanticTokens(
+    model,
+  ) {
+    const result = symbolIndex.parse(model)
+    if (!result) {
+      // a rejection keeps the current tokens, which the editor moves along with the edits, and is not reported when
+      // it says busy
+      throw new Error('Semantic tokens are busy until the code parses')
+    }
+    const code = model.getValue()
+    const sources = await Contract.importAll(model, result.body)
+    const chains = new Map()
+    const scopeOf = (ancestors, offset) => {
+      const contract = ancestors.find(ancestor => CONTAINER_TYPES.includes(ancestor.type))
+      if (contract && !chains.has(contract)) {
+        chains.set(contract, findInheritanceChain(sources, contract))
+      }
+      return { contract, chain: contract ? chains.get(contract) : [], func: ancestors.find(isFunctionLike), offset }
+    }
+
+    const tokens = []
+    const push = (offset, length, type, modifiers = []) => {
+      if (offset >= 0 && type) {
+        tokens.push({ offset, length, type, modifiers })
+      }
+    }
+    const written = new Set()
+
+    walk(result.body, (node, ancestors) => {
+      const parent = ancestors[ancestors.length - 1]
+      switch (node.type) {
+        case 'AssignmentExpression':
+          markWritten(node.left, written)
+          break
+        case 'UpdateExpression':
+          markWritten(node.argument, written)
+          break
+        case 'UnaryExpression':
+          if (node.operator === 'delete') {
+            markWritten(node.argument, written)
+          }
+          break
+        case 'Identifier': {
+          const scope = scopeOf(ancestors, node.start)
+          const isProperty = parent && parent.type === 'MemberExpression' && parent.property === node && !parent.computed
+          const token = isProperty
+            ? this.classifyMember(parent, scope, sources)
+            : this.classifyName(node.name, scope, sources)
+          if (token) {
+            const modifiers = written.has(node) ? [...token.modifiers, 'modification'] : token.modifiers
+            push(node.start, node.name.length, token.type, modifiers)
+          }
+          break
+        }
+        case 'ModifierName':
+        case 'ModifierArgument': {
+          // modifier invocations and base constructor calls, `public` and other keywords are not resolved
+          const token = this.classifyName(node.name, scopeOf(ancestors, node.start), sources)
+          if (token && ['decorator', 'class'].includes(token.type)) {
+            push(node.start, node.name.length, token.type, token.modifiers)
+          }
+          break
+        }
+        case 'Type':
+          if (typeof node.literal === 'string') {
+            const declaration = findUserType(sources, node.literal, scopeOf(ancestors, node.start).chain)
+            if (declaration) {
+              push(node.start, node.literal.length, DECLARATION_TYPES[declaration.node.type])
+            }
+          }
+          break
+        case 'UsingStatement':
+          if (typeof node.library === 'string') {
+            push(findNameOffset(code, node, node.library), node.library.length, 'namespace')
+          }
+          break
+        case 'Symbol': {
+          const declaration = findDeclaration(sources, node.name, Object.keys(DECLARATION_TYPES))
+          if (declaration) {
+            push(node.start, node.name.length, DECLARATION_TYPES[declaration.node.type])
+          }
+          break
+        }
+        default: {
+          const name = node.type === 'InformalParameter' ? node.id : node.name
+          if (!name || typeof name !== 'string' || !DECLARATION_TYPES[node.type]) {
+            break
+          }
+          const isField = node.type === 'DeclarativeExpression' && parent && parent.type === 'StructDeclaration'
+          const token = isField ? { type: 'property', modifiers: [] } : classifyDeclaration(node)
+          push(findNameOffset(code, node, name), name.length, token.type, ['declaration', ...token.modifiers])
+          if (node.type === 'EnumDeclaration') {
+            const body = { start: code.indexOf('{', node.start), end: node.end }
+            node.members.forEach(member => {
+              push(findNameOffset(code, body, member), member.length, 'enumMember', ['declaration'])
+            })
+          }
+          break
+        }
+      }
+    })
+    return { data: encode(model, tokens) }
+  }
+
+  releaseDocumentSemanticTokens() {}
+
+  /**
+   * @private
+   * @param {string} name
+   * @param {*} scope see `findScope`
+   * @param {Array<any>} sources
+   * @returns {{ type: string, modifiers: string[] }} the token of what the name refers to, if it is user-defined
+   * @memberof SoliditySemanticTokensProvider
+   */
+  classifyName(name, scope, sources) {
+    const local = scope.func && findLocalDeclaration(scope.func, name, scope.offset)
+    if (local) {
+      return classifyDeclaration(local)
+    }
+    const [member] = findInheritedMembers(sources, scope.chain, name, MEMBER_TYPES)
+    if (member) {
+      return classifyDeclaration(member.node)
+    }
+    const declaration = findUserType(sources, name, scope.chain) ||
+      findDeclaration(sources, name, ['ErrorDeclaration', 'EventDeclaration'])
+    return declaration && classifyDeclaration(declaration.node)
+  }
+
+  /**
+   * @private
+   * @param {*} memberExpression the member expression whose property is classified
+   * @param {*} scope see `findScope`
+   * @param {Array<any>} sources
+   * @returns {{ type: string, modifiers: string[] }}
+   * @memberof SoliditySemanticTokensProvider
+   */
+  classifyMember(memberExpression, scope, sources) {
+    const objectType = inferType(memberExpression.object, scope, sources)
+    const [member] = objectType ? findMembers(objectType, memberExpression.property.name, scope, sources) : []
+    if (!member) {
+      return
+    }
+    if (objectType.kind === 'struct') {
+      return { type: 'property', modifiers: [] }
+    }
+    if (objectType.kind === 'enum' && member.node.type === 'EnumDeclaration') {
+      return { type: 'enumMember', modifiers: [] }
+    }
+    return classifyDeclaration(member.node)
+  }
+}
+
+function classifyDeclaration (node) {
+  const modifiers = []
+  if (node.type === 'StateVariableDeclaration') {
+    modifiers.push(...(node.is_constant || node.is_immutable ? ['readonly'] : ['storage']))
+  } else if (node.storage_location === 'storage') {
+    modifiers.push('storage')
+  }
+  return { type: DECLARATION_TYPES[node.type], modifiers }
+}
+
+/**
+ * Mark the variables an assignment writes to e.g. `balances` in `balances[to] += amount`, `a` and `b` in
+ * `(a, b) = f()`
+ */
+function markWritten (expression, written) {
+  if (!expression) {
+    return
+  }
+  if (expression.type === 'SequenceExpression') {
+    expression.expressions.forEach(element => markWritten(element, written))
+  } else if (expression.type === 'MemberExpression') {
+    markWritten(expression.object, written)
+  } else if (expression.type === 'Identifier') {
+    written.add(expression)
+  }
+}
+
+/**
+ * Encode tokens the way the editor expects them: line, start character, length, type and modifiers of each token,
+ * relative to the previous one
+ */
+function encode (model, tokens) {
+  const data = []
+  let previousLine = 1
+  let previousColumn = 1
+  let previousEnd = -1
+  tokens
+    .sort((a, b) => a.offset - b.offset)
+    .forEach(({ offset, length, type, modifiers }) => {
+      if (offset < previousEnd) {
+        return
+      }
+      const { lineNumber, column } = model.getPositionAt(offset)
+      data.push(
+        lineNumber - previousLine,
+        lineNumber === previousLine ? column - previousColumn : column - 1,
+        length,
+        TOKEN_TYPES.indexOf(type),
+        modifiers.reduce((bits, modifier) => bits | (1 << TOKEN_MODIFIERS.indexOf(modifier)), 0),
+      )
+      previousLine = lineNumber
+      previousColumn = column
+      previousEnd = offset + length
+    })
+  return new Uint32Array(data)
+}
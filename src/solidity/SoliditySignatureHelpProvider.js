@@ -0,0 +1,363 @@
+import Contract from './Contract'
+import symbolIndex from './SymbolIndex'
+import globals from './globals.json'
+import { parseNatSpec } from './natspec'
+import { parse, typeToString } from './ast'
+import {
+  CONTAINER_TYPES,
+  findDeclaration,
+  findUserType,
+  findInheritedMembers,
+  findScope,
+  inferType,
+  findMembers,
+  findAttachedFunctions,
+} from './types'
+
+// declarations that can be called by name, depending on the keyword before the callee
+const CALLABLE_TYPES = {
+  emit: ['EventDeclaration'],
+  revert: ['ErrorDeclaration'],
+  call: ['FunctionDeclaration', 'ModifierDeclaration', 'EventDeclaration', 'ErrorDeclaration', 'StructDeclaration'],
+}
+
+// words followed by `(` that are not calls
+const KEYWORDS = [
+  'if', 'for', 'while', 'return', 'returns', 'function', 'modifier', 'event', 'error', 'constructor', 'fallback',
+  'receive', 'mapping', 'catch', 'try', 'assembly',
+]
+
+export default class SoliditySignatureHelpProvider {
+  signatureHelpTriggerCharacters = ['(', ',']
+
+  signatureHelpRetriggerCharacters = [')']
+
+  /**
+   * Provide the signatures of the function, event, error, modifier or struct being called at cursor, with the
+   * parameter being typed as the active one. Overloads are listed as separate signatures. The callee is resolved the
+   * way definitions are: `emit Event(`, `revert Error(`, `new Contract(`, member calls e.g. `token.transferFrom(`,
+   * and modifier invocations and base constructor calls in function headers.
+   *
+   * @param {monaco.editor.ITextModel} model
+   * @param {monaco.Position} position
+   * @returns {(Thenable<monaco.languages.SignatureHelpResult>)}
+   * @memberof SoliditySignatureHelpProvider
+   */
+  async provideSignatureHelp(
+    model,
+    position,
+  ) {
+    const code = model.getValue()
+    const offset = model.getOffsetAt(position)
+    const call = findCall(code, offset)
+    const callee = call && parseCallee(code.slice(0, call.open))
+    if (!callee) {
+      return
+    }
+
+    const result = this.parse(model, position)
+    const statements = result ? result.body : []
+    const sources = await Contract.importAll(model, statements)
+    const scope = findScope(sources, statements, offset)
+
+    const signatures = this.resolveSignatures(callee, scope, sources)
+    if (!signatures.length) {
+      return
+    }
+    const activeSignature = signatures.findIndex(signature => signature.parameters.length > call.activeParameter)
+    return {
+      value: {
+        signatures,
+        activeSignature: Math.max(activeSignature, 0),
+        activeParameter: call.activeParameter,
+      },
+      dispose () {},
+    }
+  }
+
+  /**
+   * Parse the model. The call being typed often does not parse, in which case the line at cursor is blanked out,
+   * which keeps the surrounding contract and function in place.
+   *
+   * @private
+   * @param {monaco.editor.ITextModel} model
+   * @param {monaco.Position} position
+   * @returns {*} the `Program` node, if any
+   * @memberof SoliditySignatureHelpProvider
+   */
+  parse(model, position) {
+    const result = symbolIndex.parse(model)
+    if (result) {
+      return result
+    }
+    const code = model.getValue()
+    const lineStart = model.getOffsetAt({ lineNumber: position.lineNumber, column: 1 })
+    const line = model.getLineContent(position.lineNumber)
+    return parse(code.slice(0, lineStart) + ' '.repeat(line.length) + code.slice(lineStart + line.length))
+  }
+
+  /**
+   * @private
+   * @param {{ keyword?: string, path: string[] }} callee see `parseCallee`
+   * @param {*} scope see `findScope`
+   * @param {Array<any>} sources current source and its imports
+   * @returns {monaco.languages.SignatureInformation[]}
+   * @memberof SoliditySignatureHelpProvider
+   */
+  resolveSignatures(callee, scope, sources) {
+    const { keyword, path } = callee
+    const name = path[path.length - 1]
+
+    if (keyword === 'new') {
+      const userType = findUserType(sources, name, scope.chain)
+      return userType && CONTAINER_TYPES.includes(userType.node.type)
+        ? [this.toConstructorSignature(userType)]
+        : []
+    }
+
+    const types = CALLABLE_TYPES[keyword || 'call']
+    if (path.length > 1) {
+      return this.resolveMemberSignatures(path, types, scope, sources)
+    }
+
+    const members = findInheritedMembers(sources, scope.chain, name, types)
+    if (members.length) {
+      return members.map(({ node, source }) => this.toSignature(name, source.model.getValue(), node))
+    }
+    if (keyword) {
+      // events and errors declared at the top level
+      const declaration = findDeclaration(sources, name, types)
+      return declaration ? [this.toSignature(name, declaration.source.model.getValue(), declaration.node)] : []
+    }
+
+    const userType = findUserType(sources, name, scope.chain)
+    if (userType && userType.node.type === 'StructDeclaration') {
+      return [this.toSignature(name, userType.source.model.getValue(), userType.node)]
+    }
+    if (userType && CONTAINER_TYPES.includes(userType.node.type)) {
+      const func = scope.func
+      const inBody = func && func.body instanceof Object && func.body.start < scope.offset
+      // a base constructor in an inheritance list or a constructor header, otherwise a conversion e.g. IERC20(addr)
+      return inBody
+        ? [this.toBuiltinSignature(`function ${name}(address)`)]
+        : [this.toConstructorSignature(userType)]
+    }
+    const error = findDeclaration(sources, name, ['ErrorDeclaration'])
+    if (error) {
+      return [this.toSignature(name, error.source.model.getValue(), error.node)]
+    }
+    return globals.functions[name] ? [this.toBuiltinSignature(globals.functions[name])] : []
+  }
+
+  /**
+   * Resolve the signatures of a member call e.g. `token.transferFrom(`, `Lib.f(`, `super.f(`, `abi.encode(`. The first
+   * parameter of a function attached with `using for` is the object itself, so it is left out.
+   *
+   * @private
+   * @param {string[]} path names in the member access e.g. `['token', 'transferFrom']`
+   * @param {string[]} types accepted member types
+   * @param {*} scope see `findScope`
+   * @param {Array<any>} sources
+   * @returns {monaco.languages.SignatureInformation[]}
+   * @memberof SoliditySignatureHelpProvider
+   */
+  resolveMemberSignatures(path, types, scope, sources) {
+    const name = path[path.length - 1]
+    const object = path.slice(1, -1).reduce(
+      (object, name) => ({ type: 'MemberExpression', object, property: { type: 'Identifier', name }, computed: false }),
+      { type: 'Identifier', name: path[0], start: scope.offset },
+    )
+    const objectType = inferType(object, scope, sources)
+    if (!objectType) {
+      return []
+    }
+
+    const builtin = builtinMember(objectType, name)
+    if (builtin) {
+      return builtin.startsWith('function') ? [this.toBuiltinSignature(builtin)] : []
+    }
+    const attached = !objectType.isStatic && objectType.kind !== 'super'
+      ? findAttachedFunctions(objectType, scope, sources).map(({ node }) => node)
+      : []
+    return findMembers(objectType, name, scope, sources)
+      .filter(({ node }) => types.includes(node.type))
+      .map(({ node, source }) => this.toSignature(name, source.model.getValue(), node, attached.includes(node)))
+  }
+
+  /**
+   * @private
+   * @param {string} name
+   * @param {string} code code of the file where the node belongs
+   * @param {*} node function, modifier, event, error or struct declaration
+   * @param {boolean} bound whether the first parameter is the object the function is attached to
+   * @returns {monaco.languages.SignatureInformation}
+   * @memberof SoliditySignatureHelpProvider
+   */
+  toSignature(name, code, node, bound = false) {
+    const natspec = parseNatSpec(code, node)
+    const params = node.type === 'StructDeclaration'
+      ? (node.body || []).map(field => ({ name: field.name, text: `${typeToString(field.literal)} ${field.name}` }))
+      : (node.params || []).map(param => ({ name: param.id, text: sourceText(code, param) }))
+
+    let label = `${name}(`
+    const parameters = []
+    params.slice(bound ? 1 : 0).forEach(({ name, text }, index) => {
+      if (index) {
+        label += ', '
+      }
+      const documentation = name && natspec.params[name]
+      parameters.push({
+        label: [label.length, label.length + text.length],
+        documentation: documentation ? { value: documentation } : undefined,
+      })
+      label += text
+    })
+    label += ')'
+    if (node.returnParams && node.returnParams.params && node.returnParams.params.length) {
+      label += ` returns (${node.returnParams.params.map(param => sourceText(code, param)).join(', ')})`
+    }
+
+    const documentation = [natspec.notice, natspec.dev && `*@dev* ${natspec.dev}`].filter(Boolean)
+    return {
+      label,
+      documentation: documentation.length ? { value: documentation.join('\n\n') } : undefined,
+      parameters,
+    }
+  }
+
+  /**
+   * @private
+   * @param {{ node: *, source: * }} declaration contract declaration
+   * @returns {monaco.languages.SignatureInformation} the signature of its constructor, or one without parameters
+   * when it has no constructor
+   * @memberof SoliditySignatureHelpProvider
+   */
+  toConstructorSignature({ node, source }) {
+    // constructors before 0.4.22 are functions named after the contract
+    const constructor = node.body.find(element =>
+      element.type === 'ConstructorDeclaration' || (element.type === 'FunctionDeclaration' && element.name === node.name)
+    )
+    return constructor
+      ? this.toSignature(node.name, source.model.getValue(), constructor)
+      : { label: `${node.name}()`, parameters: [] }
+  }
+
+  /**
+   * @private
+   * @param {string} declaration declaration of a global function from `globals.json` e.g.
+   * `function require(bool condition, string memory message)`
+   * @returns {monaco.languages.SignatureInformation}
+   * @memberof SoliditySignatureHelpProvider
+   */
+  toBuiltinSignature(declaration) {
+    const label = declaration.replace(/^function\s+/, '')
+    const open = label.indexOf('(')
+    const parameters = []
+    let start = open + 1
+    let depth = 0
+    for (let i = start; i < label.length && depth >= 0; i++) {
+      if (label[i] === '(') {
+        depth++
+      } else if (label[i] === ')') {
+        depth--
+      }
+      if ((label[i] === ',' && depth === 0) || depth < 0) {
+        if (i > start) {
+          parameters.push({ label: [start, i] })
+        }
+        start = i + 2
+      }
+    }
+    return { label, parameters }
+  }
+}
+
+/**
+ * Find the call whose arguments are being typed at offset by scanning brackets before it, skipping comments and
+ * strings
+ *
+ * @param {string} code
+ * @param {number} offset
+ * @returns {{ open: number, activeParameter: number }} the offset of the opening parenthesis and the index of the
+ * argument at offset, or undefined if the offset is not in the arguments of a call
+ */
+function findCall (code, offset) {
+  const stack = []
+  for (let i = 0; i < offset; i++) {
+    const char = code[i]
+    if (char === '/' && code[i + 1] === '/') {
+      const end = code.indexOf('\n', i)
+      if (end === -1 || end >= offset) {
+        return
+      }
+      i = end
+    } else if (char === '/' && code[i + 1] === '*') {
+      const end = code.indexOf('*/', i + 2)
+      if (end === -1 || end + 2 > offset) {
+        return
+      }
+      i = end + 1
+    } else if (char === '"' || char === '\'') {
+      let end = i + 1
+      while (end < code.length && code[end] !== char && code[end] !== '\n') {
+        end += code[end] === '\\' ? 2 : 1
+      }
+      if (end >= offset) {
+        return
+      }
+      i = end
+    } else if (char === '(' || char === '[' || char === '{') {
+      stack.push({ char, open: i, activeParameter: 0 })
+    } else if (char === ')' || char === ']' || char === '}') {
+      stack.pop()
+    } else if (char === ',' && stack.length) {
+      stack[stack.length - 1].activeParameter++
+    }
+  }
+  const call = stack[stack.length - 1]
+  return call && call.char === '(' ? call : undefined
+}
+
+/**
+ * Parse the callee before the opening parenthesis of a call
+ *
+ * @param {string} before code before the parenthesis
+ * @returns {{ keyword?: string, path: string[] }} `keyword` is one of `emit`, `revert` and `new`, and `path` the
+ * names of the callee e.g. `['token', 'transferFrom']`. Undefined if the parenthesis does not open a call.
+ */
+function parseCallee (before) {
+  // call options e.g. `target.call{ value: amount }(`
+  const code = before.replace(/\{[^{}]*\}\s*$/, '')
+  const match = /(?:\b(emit|revert|new)\s+)?([\w$]+(?:\s*\.\s*[\w$]+)*)\s*$/.exec(code)
+  if (!match) {
+    return
+  }
+  const path = match[2].split(/\s*\.\s*/)
+  if (path.length === 1 && KEYWORDS.includes(path[0])) {
+    return
+  }
+  // a declaration e.g. `function transfer(`, not a call
+  if (/\b(function|modifier|event|error|struct|contract|interface|library)\s*$/.test(code.slice(0, match.index))) {
+    return
+  }
+  return { keyword: match[1], path }
+}
+
+function builtinMember (objectType, name) {
+  if (objectType.kind === 'builtin') {
+    return globals.variables[objectType.name].members[name]
+  } else if (objectType.kind === 'array') {
+    return globals.types.array[name]
+  } else if (objectType.kind === 'elementary') {
+    const { literal } = objectType.type
+    if (literal === 'address' || literal === 'address_payable') {
+      return globals.types.address[name]
+    } else if (literal === 'bytes') {
+      return globals.types.bytes[name]
+    }
+  }
+}
+
+function sourceText (code, node) {
+  return code.slice(node.start, node.end).replace(/\s+/g, ' ').trim()
+}
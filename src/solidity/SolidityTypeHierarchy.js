@@ -0,0 +1,118 @@
+import * as monaco from 'monaco-editor'
+import { IQuickInputService } from 'monaco-editor/esm/vs/platform/quickinput/common/quickInput'
+import { SymbolKinds } from 'monaco-editor/esm/vs/editor/common/modes'
+
+import { BaseProjectManager } from '@obsidians/workspace'
+
+import codeEditorService from '../overrides'
+import symbolIndex from './SymbolIndex'
+import SolidityImplementationProvider from './SolidityImplementationProvider'
+import { findElementByOffset } from './ast'
+import { CONTAINER_TYPES, findInheritanceChain, findSource, findSubtypes } from './types'
+
+export default class SolidityTypeHierarchy {
+  constructor () {
+    this.implementationProvider = new SolidityImplementationProvider()
+  }
+
+  /**
+   * Find the supertypes and subtypes of the contract or interface under cursor, or of the one surrounding the cursor,
+   * from the `is` clauses of every file in the project. Supertypes are in the order of the linearization, most
+   * derived first, so the first one declaring a member is the one a call resolves to.
+   *
+   * @param {monaco.editor.ITextModel} model
+   * @param {monaco.Position} position
+   * @returns {Promise<{ contract: *, supertypes: Array<any>, subtypes: Array<any> }>} the contract and its types as
+   * `{ node, source, bases }`, `bases` are the direct bases of a subtype
+   * @memberof SolidityTypeHierarchy
+   */
+  async provideTypeHierarchy(model, position) {
+    const result = symbolIndex.parse(model)
+    if (!result) {
+      return
+    }
+    const target = await this.implementationProvider.findTarget(model, position)
+    const sources = await this.implementationProvider.loadSources(model)
+    let contract
+    if (target && CONTAINER_TYPES.includes(target.node.type)) {
+      contract = target.node
+    } else if (target) {
+      // the contract declaring the function
+      contract = findSource(sources, target.node).statements.find(element => element.body instanceof Array &&
+        element.body.includes(target.node))
+    } else {
+      const containers = result.body.filter(element => CONTAINER_TYPES.includes(element.type))
+      contract = findElementByOffset(containers, model.getOffsetAt(position))
+    }
+    if (!contract || contract.type === 'LibraryStatement') {
+      return
+    }
+
+    return {
+      contract,
+      supertypes: findInheritanceChain(sources, contract)
+        .slice(1)
+        .map(node => ({ node, source: findSource(sources, node) })),
+      subtypes: findSubtypes(sources, contract),
+    }
+  }
+
+  /**
+   * Pick a supertype or a subtype of the contract under cursor and open it through
+   * `codeEditorService.openCodeEditor`. Monaco has no type hierarchy view, the quick pick lists them instead.
+   *
+   * @param {monaco.editor.ICodeEditor} editor
+   * @memberof SolidityTypeHierarchy
+   */
+  async pickType(editor) {
+    const quickInputService = editor.invokeWithinContext(accessor => accessor.get(IQuickInputService))
+    const picker = quickInputService.createQuickPick()
+    picker.placeholder = 'Type hierarchy'
+    picker.matchOnDescription = true
+    picker.busy = true
+    picker.onDidHide(() => picker.dispose())
+    picker.show()
+
+    const hierarchy = await this.provideTypeHierarchy(editor.getModel(), editor.getPosition())
+    picker.busy = false
+    if (!hierarchy) {
+      picker.placeholder = 'No contract or interface under cursor'
+      return
+    }
+
+    const { path, projectRoot } = BaseProjectManager.instance
+    const toItem = ({ node, source, bases }) => {
+      const kind = node.type === 'InterfaceStatement'
+        ? 'interface'
+        : node.is_abstract ? 'abstract contract' : 'contract'
+      const symbolKind = node.type === 'InterfaceStatement'
+        ? monaco.languages.SymbolKind.Interface
+        : monaco.languages.SymbolKind.Class
+      return {
+        label: node.name,
+        description: bases ? `${kind} is ${bases.map(base => base.name).join(', ')}` : kind,
+        detail: path.relative(projectRoot, source.model.uri.path),
+        iconClasses: SymbolKinds.toCssClassName(symbolKind).split(' '),
+        node,
+        source,
+      }
+    }
+    const { contract, supertypes, subtypes } = hierarchy
+    picker.title = `Type hierarchy of ${contract.name}`
+    picker.items = [
+      { type: 'separator', label: supertypes.length ? 'supertypes' : 'no supertypes' },
+      ...supertypes.map(toItem),
+      { type: 'separator', label: subtypes.length ? 'subtypes' : 'no subtypes' },
+      ...subtypes.map(toItem),
+    ]
+    picker.onDidAccept(() => {
+      const [item] = picker.selectedItems
+      picker.hide()
+      if (item) {
+        const { model } = item.source
+        const range = monaco.Range.fromPositions(model.getPositionAt(item.node.start), model.getPositionAt(item.node.start))
+        codeEditorService.openCodeEditor({ resource: model.uri, options: { selection: range } }, editor)
+      }
+    })
+  }
+}
@@ -0,0 +1,159 @@
+import * as monaco from 'monaco-editor'
+import { IQuickInputService } from 'monaco-editor/esm/vs/platform/quickinput/common/quickInput'
+import { SymbolKinds } from 'monaco-editor/esm/vs/editor/common/modes'
+
+import { BaseProjectManager } from '@obsidians/workspace'
+
+import codeEditorService from '../overrides'
+import SolidityDocumentSymbolProvider from './SolidityDocumentSymbolProvider'
+import { loadWorkspaceSources } from './project'
+
+// symbols listed in the picker, the best matches are enough
+const MAX_RESULTS = 200
+
+export default class SolidityWorkspaceSymbolProvider {
+  constructor () {
+    this.documentSymbolProvider = new SolidityDocumentSymbolProvider()
+  }
+
+  /**
+   * Search the contracts, interfaces, libraries, functions, events, errors and structs declared in the project and
+   * in the dependencies it imports
+   *
+   * @param {string} query matched fuzzily against the names
+   * @returns {Promise<Array<{ name: string, kind: number, containerName: string, location: monaco.languages.Location }>>}
+   * the matches, best first
+   * @memberof SolidityWorkspaceSymbolProvider
+   */
+  async provideWorkspaceSymbols(query) {
+    return this.filterSymbols(await this.collectSymbols(), query)
+  }
+
+  /**
+   * @private
+   * @returns {Promise<Array<any>>} every symbol of the project and its dependencies
+   * @memberof SolidityWorkspaceSymbolProvider
+   */
+  async collectSymbols() {
+    const { SymbolKind } = monaco.languages
+    const kinds = [
+      SymbolKind.Class,
+      SymbolKind.Interface,
+      SymbolKind.Module,
+      SymbolKind.Method,
+      SymbolKind.Event,
+      SymbolKind.Struct,
+    ]
+
+    const symbols = []
+    const collect = (model, documentSymbols, containerName) => documentSymbols.forEach(symbol => {
+      if (kinds.includes(symbol.kind)) {
+        symbols.push({
+          name: symbol.name,
+          kind: symbol.kind,
+          containerName,
+          location: { uri: model.uri, range: symbol.selectionRange },
+        })
+      }
+      collect(model, symbol.children || [], symbol.name)
+    })
+    const sources = await loadWorkspaceSources()
+    sources.forEach(({ model }) => collect(model, this.documentSymbolProvider.provideDocumentSymbols(model), ''))
+    return symbols
+  }
+
+  /**
+   * @private
+   * @param {Array<any>} symbols
+   * @param {string} query
+   * @returns {Array<any>} the symbols that match the query with the positions of the matched characters in `matches`,
+   * best first
+   * @memberof SolidityWorkspaceSymbolProvider
+   */
+  filterSymbols(symbols, query) {
+    return symbols
+      .map(symbol => ({ symbol, match: fuzzyMatch(query.trim(), symbol.name) }))
+      .filter(({ match }) => match)
+      .sort((a, b) => b.match.score - a.match.score || a.symbol.name.localeCompare(b.symbol.name))
+      .map(({ symbol, match }) => ({ ...symbol, matches: match.matches }))
+  }
+
+  /**
+   * Pick a symbol of the workspace and open it through `codeEditorService.openCodeEditor`, which opens the file in
+   * a tab of the IDE
+   *
+   * @param {monaco.editor.ICodeEditor} editor
+   * @memberof SolidityWorkspaceSymbolProvider
+   */
+  async pickSymbol(editor) {
+    const quickInputService = editor.invokeWithinContext(accessor => accessor.get(IQuickInputService))
+    const picker = quickInputService.createQuickPick()
+    picker.placeholder = 'Go to a symbol in the workspace'
+    // the items are filtered and sorted here, by name only
+    picker.matchOnLabel = false
+    picker.matchOnDescription = false
+    picker.matchOnDetail = false
+    picker.sortByLabel = false
+    picker.busy = true
+    picker.onDidHide(() => picker.dispose())
+    picker.show()
+
+    const { path, projectRoot } = BaseProjectManager.instance
+    const symbols = await this.collectSymbols()
+    const update = () => {
+      picker.items = this.filterSymbols(symbols, picker.value).slice(0, MAX_RESULTS).map(symbol => ({
+        label: symbol.name,
+        description: symbol.containerName,
+        detail: path.relative(projectRoot, symbol.location.uri.path),
+        iconClasses: SymbolKinds.toCssClassName(symbol.kind).split(' '),
+        highlights: { label: symbol.matches.map(index => ({ start: index, end: index + 1 })) },
+        symbol,
+      }))
+    }
+    update()
+    picker.busy = false
+    picker.onDidChangeValue(update)
+    picker.onDidAccept(() => {
+      const [item] = picker.selectedItems
+      picker.hide()
+      if (item) {
+        const { uri, range } = item.symbol.location
+        codeEditorService.openCodeEditor({ resource: uri, options: { selection: range } }, editor)
+      }
+    })
+  }
+}
+
+/**
+ * Match the characters of a query in order in a name, ignoring case. Matches at the start of the name, at the start
+ * of words (after `_` or at a capital letter) and consecutive matches score higher.
+ *
+ * @param {string} query
+ * @param {string} name
+ * @returns {{ score: number, matches: number[] }} the score and the indexes of the matched characters, or undefined
+ * if the name does not match
+ */
+function fuzzyMatch (query, name) {
+  if (!query) {
+    return { score: 0, matches: [] }
+  }
+  const lowerQuery = query.toLowerCase()
+  const lowerName = name.toLowerCase()
+  const matches = []
+  let score = 0
+  let from = 0
+  for (const char of lowerQuery) {
+    const index = lowerName.indexOf(char, from)
+    if (index === -1) {
+      return
+    }
+    const wordStart = index === 0 ||
+      name[index - 1] === '_' ||
+      (name[index] !== lowerName[index] && name[index - 1] === lowerName[index - 1])
+    score += 1 + (index === 0 ? 8 : 0) + (wordStart ? 4 : 0) + (matches.length && index === from ? 6 : 0)
+    matches.push(index)
+    from = index + 1
+  }
+  // shorter names are closer to the query
+  return { score: score - (name.length - query.length) / 10, matches }
+}
@@ -0,0 +1,124 @@
+import { modelSessionManager } from '@obsidians/code-editor'
+
+import { parse } from './ast'
+import { resolveImportPath } from './remappings'
+
+/**
+ * Parsed ASTs and resolved imports of Solidity models. Each model is parsed once per version, and its entry is
+ * dropped as soon as the model is edited or disposed, so every provider can ask for the AST and the import graph as
+ * often as it needs. Declarations are indexed once per parse, see `indexDeclarations`.
+ */
+export class SymbolIndex {
+  constructor () {
+    // entry of each model by uri: { model, versionId, result, imports, disposables }
+    this.entries = new Map()
+  }
+
+  /**
+   * Parse a model, or return the cached AST of its current version
+   *
+   * @param {monaco.editor.ITextModel} model
+   * @returns {*} the `Program` node, or `undefined` when the code cannot be parsed
+   * @memberof SymbolIndex
+   */
+  parse(model) {
+    return this.getEntry(model).result
+  }
+
+  /**
+   * Parse the file at a path through its model session
+   *
+   * @param {string} filePath
+   * @returns {Promise<{ model: monaco.editor.ITextModel, statements: Array<any> }>} the source, or `undefined` when
+   * the code cannot be parsed
+   * @memberof SymbolIndex
+   */
+  async loadSource(filePath) {
+    const { model } = await modelSessionManager.newModelSession(filePath)
+    const result = this.parse(model)
+    return result && { model, statements: result.body }
+  }
+
+  /**
+   * Resolve the imports of a model, or return the ones resolved for its current version. Imports that cannot be
+   * resolved are tried again on the next call e.g. until the imported file is created.
+   *
+   * @param {monaco.editor.ITextModel} model
+   * @param {Array<any>} statements top level statements of the model, when parsed from edited code e.g. for completion
+   * @returns {Promise<string[]>} absolute paths of the imported files, in the order of the import statements
+   * @memberof SymbolIndex
+   */
+  async resolveImports(model, statements) {
+    const entry = this.getEntry(model)
+    const imports = (statements || (entry.result ? entry.result.body : []))
+      .filter(element => element.type === 'ImportStatement')
+    const filePaths = []
+    for (const { from } of imports) {
+      if (!entry.imports.has(from)) {
+        entry.imports.set(from, resolveImportPath(from, model).catch(e => console.warn(e)))
+      }
+      const filePath = await entry.imports.get(from)
+      if (filePath) {
+        filePaths.push(filePath)
+      } else {
+        entry.imports.delete(from)
+      }
+    }
+    return filePaths
+  }
+
+  /**
+   * Forget the resolved imports of every model e.g. when the remappings change
+   *
+   * @memberof SymbolIndex
+   */
+  forgetImports() {
+    this.entries.forEach(entry => entry.imports.clear())
+  }
+
+  /**
+   * @private
+   * @param {monaco.editor.ITextModel} model
+   * @returns {*} the entry of the current version of the model
+   * @memberof SymbolIndex
+   */
+  getEntry(model) {
+    const key = model.uri.toString()
+    let entry = this.entries.get(key)
+    if (entry && entry.model === model && entry.versionId === model.getVersionId()) {
+      return entry
+    }
+    if (entry) {
+      this.invalidate(key)
+    }
+
+    entry = {
+      model,
+      versionId: model.getVersionId(),
+      result: parse(model.getValue()),
+      // resolved path of each import by import path, as promises so concurrent calls resolve once
+      imports: new Map(),
+      disposables: [
+        model.onDidChangeContent(() => this.invalidate(key)),
+        model.onWillDispose(() => this.invalidate(key)),
+      ],
+    }
+    this.entries.set(key, entry)
+    return entry
+  }
+
+  /**
+   * @private
+   * @param {string} key uri of the model
+   * @memberof SymbolIndex
+   */
+  invalidate(key) {
+    const entry = this.entries.get(key)
+    if (entry) {
+      entry.disposables.forEach(disposable => disposable.dispose())
+      this.entries.delete(key)
+    }
+  }
+}
+
+export default new SymbolIndex()
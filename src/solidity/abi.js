@@ -0,0 +1,67 @@
+import { keccak256 } from 'js-sha3'
+
+/**
+ * Normalize elementary type aliases, e.g. `uint` to `uint256`
+ *
+ * @param {string} typeName
+ * @returns {string}
+ */
+export function elementaryTypeName (typeName) {
+  return typeName
+    .replace(/\b(u?int)\b/g, '$1256')
+    .replace(/\bbyte\b/g, 'bytes1')
+    .replace(/\baddress[ _]payable\b/g, 'address')
+}
+
+/**
+ * Get the canonical ABI type used in function signatures. Structs become tuples, enums become `uint8`, and contracts
+ * become `address`.
+ *
+ * @param {*} type `Type` node
+ * @param {Function} resolveType find the declaration of a user-defined type by name
+ * @returns {string}
+ */
+export function abiType (type, resolveType) {
+  const arrayParts = (type.array_parts || []).map(size => `[${size instanceof Object ? '' : (size ?? '')}]`).join('')
+  if (type.literal instanceof Object) {
+    // mappings are not part of the ABI, except as keys of public getters
+    return 'mapping' + arrayParts
+  }
+
+  const name = type.members && type.members.length ? type.members[type.members.length - 1] : type.literal
+  const declaration = resolveType(name)
+  switch (declaration?.type) {
+    case 'StructDeclaration':
+      return `(${declaration.body.map(field => abiType(field.literal, resolveType)).join(',')})` + arrayParts
+    case 'EnumDeclaration':
+      return 'uint8' + arrayParts
+    case 'ContractStatement':
+    case 'InterfaceStatement':
+      return 'address' + arrayParts
+    default:
+      return elementaryTypeName(type.literal) + arrayParts
+  }
+}
+
+/**
+ * Get the canonical signature of a function, error or event, e.g. `transfer(address,uint256)`
+ *
+ * @param {*} node function, error or event declaration
+ * @param {Function} resolveType find the declaration of a user-defined type by name
+ * @returns {string}
+ */
+export function signature (node, resolveType) {
+  const params = (node.params || []).map(param => abiType(param.literal, resolveType))
+  return `${node.name}(${params.join(',')})`
+}
+
+/**
+ * Get the 4-byte selector of a function or error, e.g. `0xa9059cbb`
+ *
+ * @param {*} node function or error declaration
+ * @param {Function} resolveType find the declaration of a user-defined type by name
+ * @returns {string}
+ */
+export function selector (node, resolveType) {
+  return '0x' + keccak256(signature(node, resolveType)).slice(0, 8)
+}
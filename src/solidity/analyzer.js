@@ -0,0 +1,429 @@
+import analyzerRules from './analyzer.json'
+import { parse, walk, isFunctionLike, localDeclarations, findNameOffset } from './ast'
+import { findLocalDeclaration } from './scope'
+import { ELEMENTARY_TYPE, findInheritanceChain } from './types'
+
+// the SWC registry entry of each rule, which documents the weakness
+export const ANALYZER_RULES = {
+  reentrancy: 107,
+  'unchecked-call': 104,
+  'delegatecall-input': 112,
+  'unprotected-selfdestruct': 106,
+  'missing-access-control': 105,
+  'shadowed-state': 119,
+}
+
+const SEVERITIES = {
+  error: 'error',
+  warning: 'warning',
+  warn: 'warning',
+  info: 'info',
+}
+
+// members of `address` that call another account
+const LOW_LEVEL_CALLS = ['call', 'delegatecall', 'staticcall', 'send', 'transfer']
+
+// names of state variables that decide who controls a contract e.g. `owner`, `admins`, `MINTER_ROLE`
+const PRIVILEGED_NAME = /owner|admin|role|operator|minter|pauser|guardian|governor|governance|authority|controller/i
+
+// function specifiers that share the list of modifier invocations
+const SPECIFIERS = ['public', 'private', 'internal', 'external', 'pure', 'view', 'payable', 'constant', 'virtual', 'override']
+
+/**
+ * Analyze Solidity code for security issues the bundled linter rules miss: state written after an external call,
+ * unchecked low-level calls, `delegatecall` to an address given by the caller, unprotected `selfdestruct`, state
+ * changed without access control, and shadowed state variables. The analysis is syntactic and covers the contracts
+ * of the file and their ancestors declared in it.
+ *
+ * A rule is disabled for a line with `// analyzer-disable-line <rules>` at its end, or with
+ * `// analyzer-disable-next-line <rules>` on the line before. Without rules, every rule is disabled.
+ *
+ * @param {string} code Solidity source code
+ * @param {{ rules?: * }} config severity of each rule by rule ID, one of `error`, `warning` or `off`, merged with
+ * the bundled severities
+ * @returns {Array<{ type: string, row: number, column: number, endRow: number, endColumn: number, text: string, rule: string }>}
+ * diagnostics with 1-based rows and columns, see `lint`
+ */
+export function analyze (code, config) {
+  const result = parse(code)
+  if (!result) {
+    // syntax errors are reported on their own
+    return []
+  }
+  const severities = resolveSeverities({ ...analyzerRules.rules, ...(config && config.rules) })
+  const reports = []
+  const report = (rule, start, end, text) => {
+    if (severities[rule]) {
+      reports.push({ rule, start, end, text })
+    }
+  }
+
+  const sources = [{ statements: result.body }]
+  const nonContractTypes = new Set()
+  walk(result.body, node => {
+    if (['StructDeclaration', 'EnumDeclaration', 'LibraryStatement'].includes(node.type)) {
+      nonContractTypes.add(node.name)
+    }
+  })
+
+  result.body.filter(element => element.type === 'ContractStatement').forEach(contract => {
+    const chain = findInheritanceChain(sources, contract)
+    // state variables by name, the most derived declaration first
+    const stateVariables = new Map()
+    chain.forEach(base => base.body
+      .filter(element => element.type === 'StateVariableDeclaration' && !stateVariables.has(element.name))
+      .forEach(element => stateVariables.set(element.name, { node: element, contract: base }))
+    )
+    const context = { code, contract, stateVariables, nonContractTypes, report }
+
+    checkShadowing(context, chain)
+    const functions = contract.body.filter(element => isFunctionLike(element) && element.body)
+    const isRestricted = functions.some(hasAccessControl)
+    functions.forEach(func => {
+      const calls = findExternalCalls(context, func)
+      checkReentrancy(context, func, calls)
+      checkLowLevelCalls(context, func, calls)
+      checkSelfdestruct(context, func)
+      checkAccessControl(context, func, isRestricted)
+    })
+  })
+
+  const disabled = findDisabledRules(code)
+  const lineStarts = [0]
+  for (let i = code.indexOf('\n'); i !== -1; i = code.indexOf('\n', i + 1)) {
+    lineStarts.push(i + 1)
+  }
+  const toPosition = offset => {
+    let row = lineStarts.length - 1
+    while (row > 0 && lineStarts[row] > offset) {
+      row--
+    }
+    return { row: row + 1, column: offset - lineStarts[row] + 1 }
+  }
+  return reports
+    .map(({ rule, start, end, text }) => {
+      const { row, column } = toPosition(start)
+      const { row: endRow, column: endColumn } = toPosition(end)
+      return { type: severities[rule], row, column, endRow, endColumn, text, rule }
+    })
+    .filter(({ row, rule }) => !disabled.has(row) || !(disabled.get(row).length === 0 || disabled.get(row).includes(rule)))
+    .sort((a, b) => a.row - b.row || a.column - b.column)
+}
+
+function resolveSeverities (rules) {
+  const severities = {}
+  Object.keys(ANALYZER_RULES).forEach(rule => {
+    const severity = rules[rule] instanceof Array ? rules[rule][0] : rules[rule]
+    severities[rule] = SEVERITIES[severity]
+  })
+  return severities
+}
+
+/**
+ * Rules disabled by comments, by 1-based row. An empty list disables every rule.
+ */
+function findDisabledRules (code) {
+  const disabled = new Map()
+  code.split('\n').forEach((line, index) => {
+    const match = /\/\/\s*analyzer-disable-(next-line|line)\b(.*)$/.exec(line)
+    if (match) {
+      const row = match[1] === 'line' ? index + 1 : index + 2
+      disabled.set(row, match[2].split(/[\s,]+/).filter(Boolean))
+    }
+  })
+  return disabled
+}
+
+/**
+ * Local variables and parameters named after a state variable, and state variables named after one of an ancestor
+ */
+function checkShadowing ({ code, contract, stateVariables, report }, chain) {
+  contract.body.forEach(element => {
+    if (element.type === 'StateVariableDeclaration') {
+      const base = chain.slice(1).find(base => base.body.some(member =>
+        member.type === 'StateVariableDeclaration' && member.name === element.name
+      ))
+      if (base) {
+        const start = findNameOffset(code, element, element.name)
+        report('shadowed-state', start, start + element.name.length,
+          `State variable '${element.name}' shadows the one declared in '${base.name}'.`)
+      }
+    } else if (isFunctionLike(element)) {
+      localDeclarations(element)
+        .filter(({ name }) => stateVariables.has(name))
+        .forEach(({ name, node }) => {
+          const start = findNameOffset(code, node, name)
+          const kind = node.type === 'InformalParameter' ? 'Parameter' : 'Local variable'
+          report('shadowed-state', start, start + name.length,
+            `${kind} '${name}' shadows the state variable declared in '${stateVariables.get(name).contract.name}'.`)
+        })
+    }
+  })
+}
+
+/**
+ * State variables written after the first external call of a function that may call back into the contract: a
+ * low-level `call` or a call through an instance of a contract. `transfer` and `send` forward too little gas to
+ * reenter.
+ */
+function checkReentrancy ({ code, stateVariables, report }, func, calls) {
+  const call = calls.find(({ name, isLowLevel }) => !isLowLevel || name === 'call')
+  if (!call || isReadOnly(func) || hasModifier(func, /reentran|lock|mutex/i)) {
+    return
+  }
+  const line = code.slice(0, call.node.start).split('\n').length
+  const reported = new Set()
+  findStateWrites(func, stateVariables)
+    .filter(({ identifier }) => identifier.start > call.node.end && !reported.has(identifier.name))
+    .forEach(({ identifier }) => {
+      reported.add(identifier.name)
+      report('reentrancy', identifier.start, identifier.start + identifier.name.length,
+        `State variable '${identifier.name}' is written after the external call on line ${line}, a reentrant call ` +
+        'sees its old value. Write it before the call, or guard the function against reentrancy.')
+    })
+}
+
+/**
+ * Low-level calls whose success is ignored, and `delegatecall` to an address given by the caller
+ */
+function checkLowLevelCalls ({ report }, func, calls) {
+  // restricted callers are trusted with the target
+  const isExposed = isPublic(func) && !hasAccessControl(func)
+  calls.filter(({ isLowLevel }) => isLowLevel).forEach(({ node, callee, name, parent }) => {
+    const { property } = callee
+    if (name !== 'transfer' && isIgnored(func, node, parent)) {
+      report('unchecked-call', property.start, property.end,
+        `The success of '${name}' is not checked, a failed call goes unnoticed. Check it with require, or handle ` +
+        'the failure.')
+    }
+    if (name === 'delegatecall' && isExposed) {
+      const target = rootIdentifier(callee.object)
+      const declaration = target && findLocalDeclaration(func, target.name, target.start)
+      if (declaration && declaration.type === 'InformalParameter' && (func.params || []).includes(declaration)) {
+        report('delegatecall-input', property.start, property.end,
+          `'delegatecall' to '${target.name}', which the caller chooses, lets them run any code on the storage of ` +
+          'this contract.')
+      }
+    }
+  })
+}
+
+function checkSelfdestruct ({ report }, func) {
+  if (func.type === 'ModifierDeclaration' || !isPublic(func) || hasAccessControl(func)) {
+    return
+  }
+  walk(func.body, node => {
+    if (node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+      (node.callee.name === 'selfdestruct' || node.callee.name === 'suicide')) {
+      report('unprotected-selfdestruct', node.callee.start, node.callee.end,
+        `Anyone can call '${func.name || 'fallback'}' and destroy the contract. Restrict who can call it.`)
+    }
+  })
+}
+
+/**
+ * Public functions setting a value state variable without checking the caller. Mappings and arrays usually hold the
+ * state of each user and are left out, and so are increments. Which variables are privileged is guessed:
+ * - in a contract where some functions restrict their callers, every value variable e.g. an owner, a fee or a flag,
+ *   others may change it by mistake
+ * - otherwise only variables named after an owner or a role e.g. `owner`, `admin`, `minter`, as nothing shows which
+ *   state is meant to be changed by anyone
+ *
+ * @param {boolean} isRestricted whether some functions of the contract restrict their callers
+ */
+function checkAccessControl ({ code, contract, stateVariables, report }, func, isRestricted) {
+  const isConstructor = func.type === 'ConstructorDeclaration' || func.name === contract.name
+  if (func.type !== 'FunctionDeclaration' || !func.name || isConstructor || !isPublic(func) || isReadOnly(func) ||
+    hasAccessControl(func)) {
+    return
+  }
+  const [write] = findStateWrites(func, stateVariables).filter(({ identifier, expression, operator }) => {
+    const type = stateVariables.get(identifier.name).node.literal
+    const isValue = typeof type.literal === 'string' && !(type.array_parts || []).length
+    return isValue && expression === identifier && operator === '=' &&
+      (isRestricted || PRIVILEGED_NAME.test(identifier.name))
+  })
+  if (write) {
+    const start = findNameOffset(code, func, func.name)
+    const reason = isRestricted
+      ? `without access control, while other functions of '${contract.name}' restrict their callers`
+      : 'without access control, anyone can take it over'
+    report('missing-access-control', start, start + func.name.length,
+      `'${func.name}' changes '${write.identifier.name}' ${reason}. Restrict it with a modifier or a check on ` +
+      'msg.sender.')
+  }
+}
+
+/**
+ * Calls to other accounts made in a function: low-level calls on an address, and calls through an instance of a
+ * contract e.g. `token.transfer(to, amount)`, `IToken(token).mint()`, `this.f()`
+ *
+ * @returns {Array<{ node: *, callee: *, name: string, isLowLevel: boolean, parent: * }>} in the order of the code
+ */
+function findExternalCalls ({ stateVariables, nonContractTypes }, func) {
+  const calls = []
+  walk(func.body, (node, ancestors) => {
+    if (node.type !== 'CallExpression' || isCallOptions(node)) {
+      return
+    }
+    // call options e.g. `to.call{value: amount}("")`
+    const callee = isCallOptions(node.callee) ? node.callee.callee : node.callee
+    if (callee.type !== 'MemberExpression' || callee.computed) {
+      return
+    }
+    const { name } = callee.property
+    const parent = ancestors[ancestors.length - 1]
+    const typeName = contractTypeName(callee.object, func, stateVariables, nonContractTypes)
+    if (typeName) {
+      calls.push({ node, callee, name, isLowLevel: false, parent })
+    } else if (LOW_LEVEL_CALLS.includes(name) && typeName !== null) {
+      calls.push({ node, callee, name, isLowLevel: true, parent })
+    }
+  })
+  return calls.sort((a, b) => a.node.start - b.node.start)
+}
+
+/**
+ * @returns {string} the name of the contract an expression is an instance of, `null` when it is known not to be
+ * one, `undefined` when unknown e.g. an address
+ */
+function contractTypeName (expression, func, stateVariables, nonContractTypes) {
+  let typeName
+  if (expression.type === 'ThisExpression' || (expression.type === 'Identifier' && expression.name === 'this')) {
+    return 'this'
+  } else if (expression.type === 'Identifier') {
+    if (expression.name === 'super' || nonContractTypes.has(expression.name)) {
+      return null
+    }
+    const declaration = findLocalDeclaration(func, expression.name, expression.start) ||
+      (stateVariables.has(expression.name) && stateVariables.get(expression.name).node)
+    const type = declaration && declaration.literal
+    typeName = type && !(type.array_parts || []).length && type.literal
+  } else if (expression.type === 'CallExpression' && expression.callee.type === 'Identifier') {
+    // cast e.g. IERC20(token)
+    typeName = expression.callee.name
+  }
+  if (typeof typeName !== 'string' || ELEMENTARY_TYPE.test(typeName)) {
+    return
+  }
+  return nonContractTypes.has(typeName) ? null : typeName
+}
+
+/**
+ * State variables assigned, incremented, decremented or deleted in a function, e.g. `balances` in
+ * `balances[to] += amount`
+ *
+ * @returns {Array<{ identifier: *, expression: *, operator: string }>} the identifier of each state variable, the
+ * expression written to, and the operator
+ */
+function findStateWrites (func, stateVariables) {
+  const writes = []
+  const add = (expression, operator) => {
+    if (expression && expression.type === 'SequenceExpression') {
+      expression.expressions.forEach(element => add(element, operator))
+      return
+    }
+    const identifier = rootIdentifier(expression)
+    if (identifier && stateVariables.has(identifier.name) && !findLocalDeclaration(func, identifier.name, identifier.start)) {
+      writes.push({ identifier, expression, operator })
+    }
+  }
+  walk(func.body, node => {
+    if (node.type === 'AssignmentExpression') {
+      add(node.left, node.operator)
+    } else if (node.type === 'UpdateExpression') {
+      add(node.argument, node.operator)
+    } else if (node.type === 'UnaryExpression' && node.operator === 'delete') {
+      add(node.argument, 'delete')
+    }
+  })
+  return writes.sort((a, b) => a.identifier.start - b.identifier.start)
+}
+
+/**
+ * Whether the result of a call is dropped, either as a statement or as a success flag never read afterwards
+ */
+function isIgnored (func, call, parent) {
+  if (parent.type === 'ExpressionStatement') {
+    return true
+  }
+  if (parent.type !== 'AssignmentExpression' || parent.right !== call) {
+    return false
+  }
+  const success = parent.left.type === 'SequenceExpression' ? parent.left.expressions[0] : parent.left
+  const name = success && (success.type === 'DeclarativeExpression' || success.type === 'Identifier') && success.name
+  if (!name) {
+    // e.g. `(, bytes memory data) = to.call(data)`
+    return true
+  }
+  let isRead = false
+  walk(func.body, node => {
+    if (node.type === 'Identifier' && node.name === name && node.start > parent.end) {
+      isRead = true
+    }
+    return !isRead
+  })
+  return !isRead
+}
+
+/**
+ * Whether a function restricts its callers: with a modifier, with a condition on `msg.sender` or `tx.origin`, or with
+ * a call to a check e.g. `_checkOwner()`
+ */
+function hasAccessControl (func) {
+  if ((func.modifiers || []).some(({ type, name }) => type === 'ModifierArgument' && !SPECIFIERS.includes(name))) {
+    return true
+  }
+  let found = false
+  walk(func.body, node => {
+    if (node.type === 'IfStatement' && mentionsCaller(node.test)) {
+      found = true
+    } else if (node.type === 'CallExpression' && node.callee.type === 'Identifier') {
+      const { name } = node.callee
+      found = /^_?(check|only|auth)/i.test(name) ||
+        ((name === 'require' || name === 'assert') && mentionsCaller(node.arguments[0]))
+    }
+    return !found
+  })
+  return found
+}
+
+function mentionsCaller (expression) {
+  let found = false
+  walk(expression, node => {
+    if (node.type === 'MemberExpression' && node.object.type === 'Identifier' &&
+      ((node.object.name === 'msg' && node.property.name === 'sender') ||
+        (node.object.name === 'tx' && node.property.name === 'origin'))) {
+      found = true
+    }
+    return !found
+  })
+  return found
+}
+
+function hasModifier (func, pattern) {
+  return (func.modifiers || []).some(({ type, name }) => type === 'ModifierArgument' && pattern.test(name))
+}
+
+function isPublic (func) {
+  return !hasModifier(func, /^(private|internal)$/)
+}
+
+function isReadOnly (func) {
+  return hasModifier(func, /^(view|pure|constant)$/)
+}
+
+function rootIdentifier (expression) {
+  while (expression && expression.type === 'MemberExpression') {
+    expression = expression.object
+  }
+  return expression && expression.type === 'Identifier' ? expression : undefined
+}
+
+/**
+ * Whether a call expression is the call options of another e.g. `to.call{value: 1}` in `to.call{value: 1}("")`
+ */
+function isCallOptions (node) {
+  return node.type === 'CallExpression' && node.arguments.length > 0 &&
+    node.arguments.every(argument => argument.type === 'NameValueAssignment')
+}
@@ -0,0 +1,240 @@
+import solparse from 'solparse-exp-jb'
+
+const FUNCTION_LIKE_TYPES = [
+  'FunctionDeclaration',
+  'ModifierDeclaration',
+  'ConstructorDeclaration',
+  'FallbackDeclaration',
+  'ReceiveDeclaration',
+]
+
+// declarations of each list of top level statements, see `indexDeclarations`
+const declarationIndexes = new WeakMap()
+
+/**
+ * Parse Solidity code with solparse. Falls back to the partial result attached to the error if there is one.
+ *
+ * @param {string} code Solidity source code
+ * @returns {*} the `Program` node, or `undefined` when the code cannot be parsed
+ */
+export function parse (code) {
+  let result
+  try {
+    result = solparse.parse(code)
+  } catch (e) {
+    if (!e.result) {
+      return
+    }
+    result = e.result
+  }
+  fillMissingRanges(code, result)
+  return result
+}
+
+/**
+ * solparse does not record the range of try statements and catch clauses, and nests catch clauses in an extra
+ * array. It also ends the object of a member access where the whole access ends e.g. `a.b` in `a.b.c`. Fix the
+ * ranges so they can be found by offset like any other statement.
+ *
+ * @param {string} code Solidity source code
+ * @param {*} result `Program` node
+ */
+function fillMissingRanges (code, result) {
+  const memberExpressions = []
+  walk(result, node => {
+    if (node.type === 'MemberExpression') {
+      memberExpressions.push(node)
+    }
+    if (node.type !== 'TryStatement') {
+      return
+    }
+    node.catchStatements = [].concat(...(node.catchStatements || []).map(clauses => [].concat(clauses)))
+    node.catchStatements.forEach(clause => {
+      clause.start = clause.param && clause.param.length ? clause.param[0].start : clause.body.start
+      clause.end = clause.body.end
+    })
+    const last = node.catchStatements[node.catchStatements.length - 1]
+    node.start = node.tryExpression.start
+    node.end = last ? last.end : node.tryStatement.end
+  })
+  // inner member accesses come later in the walk, fix them first
+  memberExpressions.reverse().forEach(node => {
+    node.end = node.computed ? code.indexOf(']', node.property.end) + 1 || node.end : node.property.end
+  })
+}
+
+/**
+ * Find the first element that surrounds offset
+ *
+ * @param {Array<any>} elements list of elements that has `start` and `end` member
+ * @param {number} offset cursor offset
+ * @returns {*} the first element where offset \in [start, end]
+ */
+export function findElementByOffset (elements, offset) {
+  return elements.find(
+    element => element.start <= offset && offset <= element.end,
+  )
+}
+
+/**
+ * Walk through a solparse AST depth first. Nested arrays (e.g. `catchStatements`) are flattened.
+ *
+ * @param {*} node root node to start walking from
+ * @param {Function} visitor called with `(node, ancestors)`, returning `false` skips the children of the node
+ * @param {Array<any>} ancestors nodes between the root and `node`, outermost first
+ */
+export function walk (node, visitor, ancestors = []) {
+  if (node instanceof Array) {
+    node.forEach(child => walk(child, visitor, ancestors))
+    return
+  }
+  if (!(node instanceof Object) || typeof node.type !== 'string') {
+    return
+  }
+  if (visitor(node, ancestors) === false) {
+    return
+  }
+  const path = [...ancestors, node]
+  for (const key in node) {
+    if (node.hasOwnProperty(key) && node[key] instanceof Object) {
+      walk(node[key], visitor, path)
+    }
+  }
+}
+
+/**
+ * Whether the node is a function-like declaration that opens a local scope
+ *
+ * @param {*} node
+ * @returns {boolean}
+ */
+export function isFunctionLike (node) {
+  return FUNCTION_LIKE_TYPES.includes(node.type)
+}
+
+/**
+ * Find the innermost function-like declaration that surrounds offset
+ *
+ * @param {Array<any>} statements top level statements of a file
+ * @param {number} offset cursor offset
+ * @returns {*} the function, modifier or constructor declaration, if any
+ */
+export function findEnclosingFunction (statements, offset) {
+  const container = findElementByOffset(statements, offset)
+  if (!container || !(container.body instanceof Array)) {
+    return
+  }
+  const member = findElementByOffset(container.body, offset)
+  if (member && isFunctionLike(member)) {
+    return member
+  }
+}
+
+/**
+ * List parameters, return parameters and locally declared variables of a function-like declaration
+ *
+ * @param {*} func function, modifier or constructor declaration
+ * @returns {Array<{ name: string, node: * }>}
+ */
+export function localDeclarations (func) {
+  const declarations = []
+  walk(func, node => {
+    if (node.type === 'InformalParameter' && node.id) {
+      declarations.push({ name: node.id, node })
+    } else if (node.type === 'DeclarativeExpression') {
+      declarations.push({ name: node.name, node })
+    }
+  })
+  return declarations
+}
+
+/**
+ * Index the top level declarations of a file and the members of its contracts, libraries and interfaces. The index
+ * is built once per list of statements, that is once per parse of a file, see `SymbolIndex`.
+ *
+ * @param {Array<any>} statements top level statements of a file
+ * @returns {{ byName: Map<string, Array<{ node: *, container?: * }>>, owners: Map<*, *> }} the named declarations
+ * in the order of the code, with the contract, library or interface of members, and the top level statement each
+ * declaration belongs to, named or not
+ */
+export function indexDeclarations (statements) {
+  let index = declarationIndexes.get(statements)
+  if (index) {
+    return index
+  }
+  index = { byName: new Map(), owners: new Map() }
+  const add = (node, container) => {
+    index.owners.set(node, container || node)
+    if (!node.name) {
+      return
+    }
+    if (!index.byName.has(node.name)) {
+      index.byName.set(node.name, [])
+    }
+    index.byName.get(node.name).push({ node, container })
+  }
+  statements.forEach(element => {
+    add(element)
+    if (element.body instanceof Array) {
+      element.body.forEach(member => add(member, element))
+    }
+  })
+  declarationIndexes.set(statements, index)
+  return index
+}
+
+/**
+ * Find the offset of the name of a declaration. solparse only records the range of the whole declaration, so the
+ * name is searched as a whole word in the code covered by the node, after its type if it has one.
+ *
+ * @param {string} code code of the file where the node belongs
+ * @param {*} node declaration node
+ * @param {string} name name to look for
+ * @returns {number} the offset of the name, or -1 if not found
+ */
+export function findNameOffset (code, node, name) {
+  const from = node.literal instanceof Object && node.literal.end <= node.end ? node.literal.end : node.start
+  const escaped = name.replace(/\$/g, '\\$')
+  const match = new RegExp(`(?<![\\w$])${escaped}(?![\\w$])`).exec(code.slice(from, node.end))
+  return match ? from + match.index : -1
+}
+
+/**
+ * Format a solparse type as it would be written in Solidity
+ *
+ * @param {*} type `Type` node
+ * @returns {string} e.g. `uint256[]`, `mapping(address => uint256)`, `MyContract.Struct`
+ */
+export function typeToString (type) {
+  if (!(type instanceof Object)) {
+    return ''
+  }
+  let name
+  if (type.literal instanceof Object && type.literal.type === 'MappingExpression') {
+    name = `mapping(${typeToString(type.literal.from)} => ${typeToString(type.literal.to)})`
+  } else {
+    name = [type.literal === 'address_payable' ? 'address payable' : type.literal, ...(type.members || [])].join('.')
+  }
+  const arrayParts = (type.array_parts || []).map(size => `[${size instanceof Object ? '' : (size ?? '')}]`)
+  return name + arrayParts.join('')
+}
+
+/**
+ * Describe a declaration in one line using its source code, without body, comments or the trailing semicolon
+ *
+ * @param {string} code code of the file where the node belongs
+ * @param {*} node declaration node
+ * @returns {string} e.g. `function transfer(address to, uint amount) public returns (bool)`
+ */
+export function describeDeclaration (code, node) {
+  let end = node.end
+  if (node.body instanceof Object && !(node.body instanceof Array) && node.body.start > node.start) {
+    end = node.body.start
+  } else if (['ContractStatement', 'InterfaceStatement', 'LibraryStatement', 'StructDeclaration', 'EnumDeclaration'].includes(node.type)) {
+    end = code.indexOf('{', node.start)
+  }
+  return code.slice(node.start, end)
+    .replace(/\/\*[\s\S]*?\*\/|\/\/.*/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*;?\s*$/, '')
+}
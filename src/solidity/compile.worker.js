@@ -0,0 +1,41 @@
+// compile requests from `compileDiagnostics`, answered with the same id. The solc-js build is loaded on the first
+// request, and stays loaded for the life of the worker.
+let compile
+
+self.onmessage = ({ data }) => {
+  const { id, url, input } = data
+  try {
+    if (!compile) {
+      self.importScripts(url)
+      compile = bindCompile(self.Module)
+    }
+    self.postMessage({ id, output: JSON.parse(compile(JSON.stringify(input))) })
+  } catch (e) {
+    self.postMessage({ id, error: e.message })
+  }
+}
+
+/**
+ * Bind the standard JSON interface of a solc-js build. Imports are not read through a callback, every source is in
+ * the input already.
+ *
+ * @param {*} solc the emscripten module of the build
+ * @returns {Function} compiles standard JSON input to standard JSON output
+ */
+function bindCompile (solc) {
+  if ('_solidity_compile' in solc) {
+    const solidityCompile = solc.cwrap('solidity_compile', 'string', ['string', 'number', 'number'])
+    const reset = '_solidity_reset' in solc ? solc.cwrap('solidity_reset', null, []) : () => {}
+    return input => {
+      const output = solidityCompile(input, 0, 0)
+      // free the memory of the compilation
+      reset()
+      return output
+    }
+  }
+  if ('_compileStandard' in solc) {
+    const compileStandard = solc.cwrap('compileStandard', 'string', ['string', 'number'])
+    return input => compileStandard(input, 0)
+  }
+  throw new Error('The compiler does not support standard JSON input, 0.4.11 or later is needed')
+}
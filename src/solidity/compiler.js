@@ -0,0 +1,260 @@
+import * as monaco from 'monaco-editor'
+import semver from 'semver'
+
+import { BaseProjectManager } from '@obsidians/workspace'
+import { modelSessionManager } from '@obsidians/code-editor'
+
+import symbolIndex from './SymbolIndex'
+import { resolveImportPath } from './remappings'
+
+// file names of solc-js builds, as published on binaries.soliditylang.org
+const BUILD_NAME = /^soljson-v(\d+\.\d+\.\d+)\+commit\.[0-9a-f]+\.js$/
+
+// the worker of the loaded compiler, a worker cannot unload a compiler to load another one
+let compilerWorker
+
+/**
+ * Compile a model together with its imports, using the solc-js build in `option.solcFolder` that satisfies the
+ * `pragma solidity` of the model, preferably one that also satisfies `option.solcVersion`. Nothing is downloaded,
+ * the compiler runs offline in a web worker.
+ *
+ * @param {monaco.editor.ITextModel} model
+ * @param {{ solcFolder: string, solcVersion?: string }} option
+ * @returns {Promise<Array<any>>} errors and warnings of the compiler in the model, with 1-based rows and columns like
+ * the ones of `lint`. Errors in imported files are reported at the import statement they come through.
+ */
+export async function compileDiagnostics (model, option) {
+  const code = model.getValue()
+  const compilers = await findCompilers(option.solcFolder)
+  if (!compilers.length) {
+    return [toDiagnostic(model, 0, 0, 'warning', `No solc-js build found in ${option.solcFolder}.`)]
+  }
+  const compiler = selectCompiler(compilers, code, option.solcVersion)
+  if (!compiler) {
+    const pragma = /pragma\s+solidity\s+[^;]+;/.exec(code)
+    return [toDiagnostic(
+      model,
+      pragma ? pragma.index : 0,
+      pragma ? pragma.index + pragma[0].length : 0,
+      'warning',
+      `No installed compiler satisfies the pragma. Installed: ${compilers.map(({ version }) => version).join(', ')}.`,
+    )]
+  }
+
+  const { unitName, sources, importedBy } = await collectSources(model)
+  const output = await runCompiler(compiler.url, {
+    language: 'Solidity',
+    sources,
+    // errors are all that is needed, no output is selected
+    settings: { outputSelection: { '*': { '': [] } } },
+  })
+
+  const diagnostics = []
+  ;(output.errors || []).forEach(error => {
+    const location = error.sourceLocation
+    const type = error.severity === 'error' ? 'error' : error.severity === 'info' ? 'info' : 'warning'
+    if (!location || location.file === unitName) {
+      const start = location && location.start >= 0 ? charOffset(code, location.start) : 0
+      const end = location && location.end >= 0 ? charOffset(code, location.end) : start
+      diagnostics.push(toDiagnostic(model, start, end, type, error.message, error.errorCode))
+      return
+    }
+    // only errors of the imported files matter here, their warnings are shown when they are opened
+    if (type !== 'error') {
+      return
+    }
+    let parent = importedBy[location.file]
+    while (parent && parent.unitName !== unitName) {
+      parent = importedBy[parent.unitName]
+    }
+    const content = sources[location.file] ? sources[location.file].content : ''
+    const position = location.start >= 0
+      ? positionAt(content, charOffset(content, location.start))
+      : { row: 1, column: 1 }
+    const text = `${location.file}:${position.row}:${position.column}: ${error.message}`
+    diagnostics.push(parent
+      ? toDiagnostic(model, parent.node.start, parent.node.end, type, text, error.errorCode)
+      : toDiagnostic(model, 0, 0, type, text, error.errorCode))
+  })
+  return diagnostics
+}
+
+/**
+ * List the solc-js builds in a folder
+ *
+ * @param {string} folder
+ * @returns {Promise<Array<{ version: string, url: string }>>} builds from the oldest version to the latest
+ */
+export async function findCompilers (folder) {
+  let items
+  try {
+    items = await BaseProjectManager.instance.readDirectory(folder)
+  } catch (e) {
+    console.warn(e)
+    return []
+  }
+  return items
+    .map(item => ({ item, match: BUILD_NAME.exec(item.name) }))
+    .filter(({ item, match }) => match && item.type !== 'folder')
+    .map(({ item, match }) => ({ version: match[1], url: monaco.Uri.file(item.path).toString() }))
+    .sort((a, b) => semver.compare(a.version, b.version))
+}
+
+/**
+ * Select the latest compiler that satisfies every `pragma solidity` of the code. Among them, the compilers that
+ * satisfy `solcVersion` are preferred.
+ *
+ * @param {Array<{ version: string, url: string }>} compilers see `findCompilers`
+ * @param {string} code
+ * @param {string} solcVersion version or range selected in the IDE
+ * @returns {{ version: string, url: string }} the compiler, or undefined if none satisfies the pragma
+ */
+export function selectCompiler (compilers, code, solcVersion) {
+  const ranges = []
+  const pragma = /pragma\s+solidity\s+([^;]+);/g
+  let match
+  while ((match = pragma.exec(code))) {
+    ranges.push(match[1].trim())
+  }
+  let candidates = compilers.filter(({ version }) => ranges.every(range => semver.satisfies(version, range)))
+  if (solcVersion) {
+    const preferred = candidates.filter(({ version }) => semver.satisfies(version, solcVersion))
+    candidates = preferred.length ? preferred : candidates
+  }
+  return candidates[candidates.length - 1]
+}
+
+/**
+ * Collect the sources of a model and of every file it imports, keyed by the source unit names solc looks them up
+ * with: relative imports are resolved against the name of the importing unit, other imports are names themselves.
+ *
+ * @param {monaco.editor.ITextModel} model
+ * @returns {Promise<{ unitName: string, sources: *, importedBy: * }>} `importedBy` maps a unit name to the unit and
+ * the import statement it was first imported by
+ */
+async function collectSources (model) {
+  const { path } = BaseProjectManager.instance
+  const unitName = model.uri.path
+  const sources = { [unitName]: { content: model.getValue() } }
+  const importedBy = {}
+  const queue = [{ unitName, model }]
+  while (queue.length) {
+    const current = queue.shift()
+    const result = symbolIndex.parse(current.model)
+    const imports = result ? result.body.filter(statement => statement.type === 'ImportStatement') : []
+    for (const node of imports) {
+      const importedUnit = node.from.startsWith('.')
+        ? path.join(path.dirname(current.unitName), node.from)
+        : node.from
+      if (sources[importedUnit]) {
+        continue
+      }
+      // a missing file is reported by the compiler at the import statement
+      const filePath = await resolveImportPath(node.from, current.model)
+      if (!filePath) {
+        continue
+      }
+      const { model: importedModel } = await modelSessionManager.newModelSession(filePath)
+      sources[importedUnit] = { content: importedModel.getValue() }
+      importedBy[importedUnit] = { unitName: current.unitName, node }
+      queue.push({ unitName: importedUnit, model: importedModel })
+    }
+  }
+  return { unitName, sources, importedBy }
+}
+
+/**
+ * Compile standard JSON input in the compile worker, which is restarted when another compiler is needed
+ *
+ * @param {string} url URL of the solc-js build
+ * @param {*} input
+ * @returns {Promise<*>} standard JSON output
+ */
+function runCompiler (url, input) {
+  if (typeof Worker === 'undefined') {
+    return Promise.reject(new Error('Compiler diagnostics need web workers'))
+  }
+  if (!compilerWorker || compilerWorker.url !== url) {
+    if (compilerWorker) {
+      compilerWorker.worker.terminate()
+      compilerWorker.requests.forEach(({ reject }) => reject(new Error('Compiler changed')))
+    }
+    compilerWorker = {
+      url,
+      // a classic worker, solc-js builds are loaded with importScripts
+      worker: new Worker(new URL('./compile.worker.js', import.meta.url)),
+      requests: new Map(),
+      requestId: 0,
+    }
+    const { worker, requests } = compilerWorker
+    worker.onmessage = ({ data }) => {
+      const request = requests.get(data.id)
+      requests.delete(data.id)
+      if (!request) {
+        return
+      }
+      if (data.error) {
+        request.reject(new Error(data.error))
+      } else {
+        request.resolve(data.output)
+      }
+    }
+    // e.g. the solc-js build fails to load or runs out of memory, the next compilation starts a new worker
+    const current = compilerWorker
+    worker.onerror = worker.onmessageerror = e => {
+      console.warn(e)
+      worker.terminate()
+      requests.forEach(({ reject }) => reject(new Error('Compiler worker failed')))
+      requests.clear()
+      if (compilerWorker === current) {
+        compilerWorker = undefined
+      }
+    }
+  }
+  const { worker, requests } = compilerWorker
+  const id = ++compilerWorker.requestId
+  return new Promise((resolve, reject) => {
+    requests.set(id, { resolve, reject })
+    worker.postMessage({ id, url, input })
+  })
+}
+
+function toDiagnostic (model, start, end, type, text, rule) {
+  const startPosition = model.getPositionAt(start)
+  const endPosition = model.getPositionAt(end)
+  return {
+    type,
+    row: startPosition.lineNumber,
+    column: startPosition.column,
+    endRow: endPosition.lineNumber,
+    endColumn: endPosition.column,
+    text,
+    rule,
+  }
+}
+
+/**
+ * solc reports UTF-8 byte offsets, convert one to an offset in the string
+ */
+function charOffset (code, byteOffset) {
+  let bytes = 0
+  for (let i = 0; i < code.length; i++) {
+    if (bytes >= byteOffset) {
+      return i
+    }
+    const codePoint = code.codePointAt(i)
+    bytes += codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4
+    if (codePoint >= 0x10000) {
+      i++
+    }
+  }
+  return code.length
+}
+
+function positionAt (code, offset) {
+  const before = code.slice(0, offset)
+  return {
+    row: before.split('\n').length,
+    column: offset - before.lastIndexOf('\n'),
+  }
+}
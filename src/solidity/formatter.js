@@ -0,0 +1,458 @@
+export const DEFAULT_FORMAT_OPTIONS = {
+  tabSize: 4,
+  insertSpaces: true,
+  // `double` or `single`, strings that would need more escapes are left as they are
+  quotes: 'double',
+  // spaces inside the braces of imports, struct literals and call options e.g. `import { A } from "./A.sol"`
+  bracketSpacing: false,
+  maxLineLength: 120,
+  // put the parameters of a declaration on their own lines when it is longer than `maxLineLength`
+  wrapSignatures: true,
+  sortImports: false,
+}
+
+// the style guide surrounds top level declarations with two blank lines, more than that are removed
+const MAX_BLANK_LINES = 2
+
+const OPERATORS = [
+  '>>>=', '>>>', '<<=', '>>=', '**', '==', '!=', '<=', '>=', '&&', '||', '++', '--', '+=', '-=', '*=', '/=', '%=',
+  '|=', '&=', '^=', '<<', '>>', '=>', '->', ':=', '=', '<', '>', '+', '-', '*', '/', '%', '!', '~', '&', '|', '^', '?',
+  ':',
+]
+
+const OPENERS = ['(', '[', '{']
+const CLOSERS = [')', ']', '}']
+
+// keywords followed by a space before `(` and `[`, other names are called or indexed
+const SPACED_KEYWORDS = ['if', 'for', 'while', 'return', 'returns', 'catch', 'assembly', 'else', 'emit', 'revert']
+
+// keywords that cannot be the left operand of `-` or `+`
+const PREFIX_KEYWORDS = ['return', 'else', 'delete', 'emit', 'case']
+
+// declarations whose parameters are wrapped when too long
+const SIGNATURE_KEYWORDS = ['function', 'constructor', 'modifier', 'event', 'error', 'fallback', 'receive']
+
+/**
+ * Format Solidity code. Lines are reindented by their brackets, with one more level for a statement continued on the
+ * next line, and tokens are spaced the way the Solidity style guide does. Line breaks are kept, except for the
+ * parameters of declarations that are too long. The code does not need to parse.
+ *
+ * @param {string} code Solidity source code
+ * @param {*} options see `DEFAULT_FORMAT_OPTIONS`
+ * @returns {string} the formatted code, ending with a new line
+ */
+export function format (code, options) {
+  const lines = formatLines(code, 1, Infinity, options)
+  while (lines.length && !lines[0]) {
+    lines.shift()
+  }
+  while (lines.length && !lines[lines.length - 1]) {
+    lines.pop()
+  }
+  const result = options.sortImports ? sortImports(lines) : lines
+  return result.join('\n') + '\n'
+}
+
+/**
+ * Format some lines of Solidity code, the lines before them are read to find out their indentation
+ *
+ * @param {string} code Solidity source code
+ * @param {number} startRow first line to format, 1-based
+ * @param {number} endRow last line to format, 1-based
+ * @param {*} options see `DEFAULT_FORMAT_OPTIONS`
+ * @returns {string[]} the formatted lines, a line may be wrapped into several
+ */
+export function formatLines (code, startRow, endRow, options) {
+  options = { ...DEFAULT_FORMAT_OPTIONS, ...options }
+  const unit = options.insertSpaces ? ' '.repeat(options.tabSize) : '\t'
+  const lines = code.split(/\r?\n/)
+  const tokenLines = tokenize(lines)
+  const state = { stack: [], ternary: 0, lastCode: undefined, afterAssembly: false, commentIndent: '' }
+
+  const output = []
+  let blankLines = 0
+  for (let row = 1; row <= lines.length && row <= endRow; row++) {
+    const inRange = row >= startRow
+    const tokens = tokenLines[row - 1]
+    if (!tokens.length) {
+      if (inRange && ++blankLines <= MAX_BLANK_LINES) {
+        output.push('')
+      }
+      continue
+    }
+    blankLines = 0
+
+    const indent = unit.repeat(indentLevel(state, tokens))
+    const formatted = formatTokens(state, tokens, row, options)
+    const [first] = tokens
+    const last = tokens[tokens.length - 1]
+    const commentIndent = state.commentIndent
+    if (last.type === 'comment' && last.unterminated && !first.continued) {
+      // lines of a block comment are aligned to the line it starts on
+      state.commentIndent = indent
+    }
+    if (!inRange) {
+      continue
+    }
+    if (first.type === 'comment' && first.continued) {
+      // a line inside a block comment keeps its text, unless it is a line of a doc comment starting with `*`
+      const text = first.text.trim()
+      const rest = formatted.slice(first.text.length)
+      output.push((text.startsWith('*') ? `${commentIndent} ${text}` : first.text.trimEnd()) + rest)
+    } else if (first.type === 'identifier' && first.text === 'pragma') {
+      // version ranges are not expressions, keep them as they are
+      output.push(indent + lines[row - 1].trim().replace(/\s+/g, ' '))
+    } else {
+      output.push(...wrapSignature(indent, unit, tokens, formatted, options))
+    }
+  }
+  return output
+}
+
+/**
+ * Derive format options from the style rules of a linter config, so formatted code passes the linter
+ *
+ * @param {string} linter `solhint` or `solium`
+ * @param {*} config the config of the linter
+ * @returns {*} the options set by the config, see `DEFAULT_FORMAT_OPTIONS`
+ */
+export function lintStyle (linter, config) {
+  const rules = (config && config.rules) || {}
+  const ruleOption = (name, defaultValue) => {
+    const rule = rules[name]
+    const severity = rule instanceof Array ? rule[0] : rule
+    if (rule === undefined || severity === 'off' || severity === 0 || severity === '0') {
+      return
+    }
+    return rule instanceof Array && rule.length > 1 ? rule[1] : defaultValue
+  }
+
+  const options = {}
+  const quotes = ruleOption('quotes', 'double')
+  if (quotes === 'double' || quotes === 'single') {
+    options.quotes = quotes
+  }
+  const indent = linter === 'solium' ? ruleOption('indentation', 4) : ruleOption('indent', 4)
+  if (indent === 'tab') {
+    options.insertSpaces = false
+  } else if (typeof indent === 'number') {
+    options.tabSize = indent
+    options.insertSpaces = true
+  }
+  const maxLineLength = linter === 'solium' ? ruleOption('max-len', 145) : ruleOption('max-line-length', 120)
+  if (typeof maxLineLength === 'number') {
+    options.maxLineLength = maxLineLength
+  }
+  return options
+}
+
+/**
+ * Split lines into tokens. A block comment over several lines gives a comment token on each of its lines, marked as
+ * `continued` after the first one and `unterminated` before the last one.
+ *
+ * @param {string[]} lines
+ * @returns {Array<Array<{ type: string, text: string, continued?: boolean, unterminated?: boolean }>>} the tokens of
+ * each line
+ */
+function tokenize (lines) {
+  let inComment = false
+  return lines.map(line => {
+    const tokens = []
+    let i = 0
+    if (inComment) {
+      const end = line.indexOf('*/')
+      inComment = end === -1
+      i = inComment ? line.length : end + 2
+      if (line.slice(0, i).trim()) {
+        tokens.push({ type: 'comment', text: line.slice(0, i), continued: true, unterminated: inComment })
+      }
+    }
+    while (i < line.length) {
+      const rest = line.slice(i)
+      const space = /^\s+/.exec(rest)
+      if (space) {
+        i += space[0].length
+        continue
+      }
+      let match
+      let type
+      if (rest.startsWith('//')) {
+        [match, type] = [rest.trimEnd(), 'comment']
+      } else if (rest.startsWith('/*')) {
+        const end = rest.indexOf('*/', 2)
+        inComment = end === -1
+        ;[match, type] = [inComment ? rest.trimEnd() : rest.slice(0, end + 2), 'comment']
+      } else if ((match = /^(?:"(?:[^"\\]|\\.)*"?|'(?:[^'\\]|\\.)*'?)/.exec(rest))) {
+        [match, type] = [match[0], 'string']
+      } else if ((match = /^(?:0[xX][\da-fA-F_]*|(?:\d[\d_]*(?:\.\d[\d_]*)?|\.\d[\d_]*)(?:[eE]-?\d+)?)/.exec(rest))) {
+        [match, type] = [match[0], 'number']
+      } else if ((match = /^[A-Za-z_$][\w$]*/.exec(rest))) {
+        [match, type] = [match[0], 'identifier']
+      } else if ((match = OPERATORS.find(operator => rest.startsWith(operator)))) {
+        type = 'operator'
+      } else {
+        [match, type] = [rest[0], 'punctuation']
+      }
+      const token = { type, text: match }
+      if (type === 'comment' && inComment) {
+        token.unterminated = true
+      }
+      tokens.push(token)
+      i += match.length
+    }
+    return tokens
+  })
+}
+
+/**
+ * The indentation level of a line: one level per line with brackets still open before it, and one more for a
+ * statement continued from the previous line
+ */
+function indentLevel (state, tokens) {
+  let closers = 0
+  while (closers < tokens.length && CLOSERS.includes(tokens[closers].text) && closers < state.stack.length) {
+    closers++
+  }
+  const open = state.stack.slice(0, state.stack.length - closers)
+  const level = new Set(open.map(bracket => bracket.row)).size
+  const inner = open[open.length - 1]
+  const [first] = tokens
+  const { lastCode } = state
+  const continued = lastCode &&
+    !closers &&
+    first.text !== '{' &&
+    !(first.type === 'comment' && first.continued) &&
+    (!inner || (inner.char === '{' && !inner.assembly)) &&
+    ![';', '{', '}', ','].includes(lastCode.text)
+  return level + (continued ? 1 : 0)
+}
+
+/**
+ * Space the tokens of a line and update the state with them
+ *
+ * @returns {string} the line without indentation, the separators before the tokens are kept in `token.separator`
+ */
+function formatTokens (state, tokens, row, options) {
+  let text = ''
+  tokens.forEach((token, index) => {
+    const previous = index ? tokens[index - 1] : undefined
+    const beforePrevious = index > 1 ? tokens[index - 2] : undefined
+    const operand = previous || state.lastCode
+
+    if (token.type === 'operator') {
+      if (['!', '~'].includes(token.text)) {
+        token.unary = 'prefix'
+      } else if (['-', '+', '++', '--'].includes(token.text)) {
+        const afterOperand = operand && isOperand(operand)
+        token.unary = afterOperand ? (token.text.length === 2 ? 'postfix' : undefined) : 'prefix'
+      } else if (token.text === '?') {
+        state.ternary++
+      } else if (token.text === ':' && state.ternary > 0) {
+        state.ternary--
+        token.ternary = true
+      }
+    } else if (token.type === 'string') {
+      token.text = convertQuotes(token.text, options.quotes)
+    }
+
+    if (OPENERS.includes(token.text)) {
+      const callOptions = token.text === '{' && previous && previous.type === 'identifier' && beforePrevious &&
+        (beforePrevious.text === '.' || beforePrevious.text === 'new')
+      const bracket = {
+        char: token.text,
+        row,
+        ternary: state.ternary,
+        assembly: token.text === '{' && (state.afterAssembly || state.stack.some(({ assembly }) => assembly)),
+        callOptions,
+        objectLike: token.text === '{' && (callOptions ||
+          (operand && ['import', 'using', '(', '[', ',', ':'].includes(operand.text))),
+      }
+      token.bracket = bracket
+      state.stack.push(bracket)
+      state.ternary = 0
+      if (token.text === '{') {
+        state.afterAssembly = false
+      }
+    } else if (CLOSERS.includes(token.text) && state.stack.length) {
+      token.bracket = state.stack.pop()
+      state.ternary = token.bracket.ternary
+    } else if (token.text === ';') {
+      state.ternary = 0
+      state.afterAssembly = false
+    } else if (token.text === 'assembly') {
+      state.afterAssembly = true
+    }
+
+    token.separator = previous ? separator(previous, token, options) : ''
+    text += token.separator + token.text
+    if (token.type !== 'comment') {
+      state.lastCode = token
+    }
+  })
+  return text
+}
+
+function separator (previous, token, options) {
+  if (token.type === 'comment' || previous.type === 'comment') {
+    return ' '
+  }
+  if (token.text === ',' || token.text === ';') {
+    return ''
+  }
+  if (previous.text === ',') {
+    return ' '
+  }
+  if (previous.text === ';') {
+    return token.text === ')' ? '' : ' '
+  }
+  if (previous.text === '.' || token.text === '.') {
+    return ''
+  }
+  if (previous.text === '(' || previous.text === '[' || token.text === ')' || token.text === ']') {
+    return ''
+  }
+  if (previous.text === '{') {
+    if (token.text === '}') {
+      return ''
+    }
+    return !previous.bracket.objectLike || options.bracketSpacing ? ' ' : ''
+  }
+  if (token.text === '}') {
+    return !token.bracket || !token.bracket.objectLike || options.bracketSpacing ? ' ' : ''
+  }
+  if (token.unary === 'postfix' || previous.unary === 'prefix') {
+    return ''
+  }
+  if (token.text === ':' && !token.ternary) {
+    // named arguments and call options e.g. `{ value: amount }`
+    return ''
+  }
+  if (previous.type === 'operator' || token.type === 'operator') {
+    return ' '
+  }
+  if (token.text === '(' || token.text === '[') {
+    const callee = (previous.type === 'identifier' && !SPACED_KEYWORDS.includes(previous.text)) ||
+      previous.text === ')' ||
+      previous.text === ']' ||
+      (previous.text === '}' && previous.bracket && previous.bracket.callOptions)
+    return callee ? '' : ' '
+  }
+  if (token.text === '{') {
+    return token.bracket.callOptions ? '' : ' '
+  }
+  if (token.type === 'string' && (previous.text === 'hex' || previous.text === 'unicode')) {
+    return ''
+  }
+  return ' '
+}
+
+function isOperand (token) {
+  return token.type === 'number' ||
+    token.type === 'string' ||
+    (token.type === 'identifier' && !PREFIX_KEYWORDS.includes(token.text)) ||
+    token.text === ')' ||
+    token.text === ']' ||
+    token.unary === 'postfix'
+}
+
+/**
+ * Convert the quotes of a string literal, unless the string contains the other quote
+ */
+function convertQuotes (text, quotes) {
+  const match = /^(["'])([\s\S]*)\1$/.exec(text)
+  const quote = quotes === 'single' ? '\'' : '"'
+  if (!match || match[1] === quote || text.length < 2) {
+    return text
+  }
+  let content = ''
+  for (let i = 0; i < match[2].length; i++) {
+    const char = match[2][i]
+    if (char === quote) {
+      return text
+    }
+    if (char === '\\') {
+      const escaped = match[2][i + 1]
+      content += escaped === match[1] ? escaped : char + (escaped || '')
+      i++
+    } else {
+      content += char
+    }
+  }
+  return quote + content + quote
+}
+
+/**
+ * Wrap the parameters of a declaration that is too long, one per line
+ *
+ * @returns {string[]} the lines
+ */
+function wrapSignature (indent, unit, tokens, formatted, options) {
+  const line = indent + formatted
+  const open = tokens.findIndex(token => token.text === '(')
+  if (!options.wrapSignatures ||
+    line.length <= options.maxLineLength ||
+    !SIGNATURE_KEYWORDS.includes(tokens[0].text) ||
+    open === -1) {
+    return [line]
+  }
+  const close = tokens.findIndex((token, index) => index > open && token.bracket === tokens[open].bracket)
+  if (close === -1 || close === open + 1) {
+    return [line]
+  }
+
+  const join = (from, to) => tokens.slice(from, to).map((token, index) => (index ? token.separator : '') + token.text).join('')
+  const lines = [indent + join(0, open + 1)]
+  let start = open + 1
+  for (let i = open + 1; i <= close; i++) {
+    if ((tokens[i].text === ',' && depthBetween(tokens, open, i) === 0) || i === close) {
+      if (i > start) {
+        lines.push(indent + unit + join(start, i) + (i === close ? '' : ','))
+      }
+      start = i + 1
+    }
+  }
+  lines.push(indent + join(close, tokens.length))
+  return lines
+}
+
+function depthBetween (tokens, open, index) {
+  let depth = 0
+  for (let i = open + 1; i < index; i++) {
+    if (OPENERS.includes(tokens[i].text)) {
+      depth++
+    } else if (CLOSERS.includes(tokens[i].text)) {
+      depth--
+    }
+  }
+  return depth
+}
+
+/**
+ * Sort consecutive import statements at the top level by path
+ *
+ * @param {string[]} lines formatted lines
+ * @returns {string[]}
+ */
+function sortImports (lines) {
+  const result = []
+  let group = []
+  const flush = () => {
+    result.push(...group.sort((a, b) => importPath(a).localeCompare(importPath(b))))
+    group = []
+  }
+  lines.forEach(line => {
+    if (/^import\b.*;\s*(\/\/.*)?$/.test(line)) {
+      group.push(line)
+    } else {
+      flush()
+      result.push(line)
+    }
+  })
+  flush()
+  return result
+}
+
+function importPath (line) {
+  const match = /(["'])((?:[^"'\\]|\\.)*)\1/.exec(line)
+  return match ? match[2].toLowerCase() : ''
+}
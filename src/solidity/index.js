@@ -1,75 +1,124 @@
 import * as monaco from 'monaco-editor'
+import { StaticServices } from 'monaco-editor/esm/vs/editor/standalone/browser/standaloneServices'
+import { CommandsRegistry } from 'monaco-editor/esm/vs/platform/commands/common/commands'
 
-import solhint from 'solhint'
-import solium from 'solium'
-
-import solhintRules from './solhint.json'
-import soliumRules from './soliumrc.json'
-import snippets from './snippets.json'
+import SolidityCallHierarchyProvider from './SolidityCallHierarchyProvider'
+import SolidityCodeActionProvider from './SolidityCodeActionProvider'
+import SolidityCodeLensProvider, { STORAGE_LAYOUT_COMMAND } from './SolidityCodeLensProvider'
+import SolidityCompletionProvider from './SolidityCompletionProvider'
 import SolidityDefinitionProvider from './SolidityDefinitionProvider'
+import SolidityDiagnostics from './SolidityDiagnostics'
+import SolidityDocumentSymbolProvider from './SolidityDocumentSymbolProvider'
+import SolidityFormattingProvider from './SolidityFormattingProvider'
+import SolidityHoverProvider from './SolidityHoverProvider'
+import SolidityImplementationProvider from './SolidityImplementationProvider'
+import SolidityReferenceProvider from './SolidityReferenceProvider'
+import SolidityRenameProvider from './SolidityRenameProvider'
+import SoliditySemanticTokensProvider from './SoliditySemanticTokensProvider'
+import SoliditySignatureHelpProvider from './SoliditySignatureHelpProvider'
+import SolidityTypeHierarchy from './SolidityTypeHierarchy'
+import SolidityWorkspaceSymbolProvider from './SolidityWorkspaceSymbolProvider'
+import { lint } from './linter'
+import { resolveImportPath, watchImportConfig } from './remappings'
+import symbolIndex from './SymbolIndex'
 
-const severityTypes = {
-  2: 'error',
-  3: 'warning',
-}
+let diagnostics
+let formattingProvider
 
-function lint (code, option) {
-  if (option.linter === 'solhint') {
-    return runSolhint(code, option)
-  } else if (option.linter === 'solium') {
-    return runSolium(code, option)
+/**
+ * Change the option of live diagnostics e.g. when the user picks another linter or compiler
+ *
+ * @param {{ linter?: string, solcVersion?: string, solcFolder?: string }} option see `SolidityDiagnostics`
+ */
+function setLintOption (option) {
+  if (diagnostics) {
+    diagnostics.setOption(option)
   }
-}
-
-function runSolhint (code, option) {
-  const rules = { ...solhintRules.rules }
-  if (option.solcVersion) {
-    rules['compiler-version'] = ['error', option.solcVersion]
+  // formatting follows the style rules of the selected linter
+  if (formattingProvider) {
+    formattingProvider.setLinter(option.linter)
   }
-  const result = solhint.processStr(code, { rules })
-  return result.reports.map(item => ({
-    type: severityTypes[item.severity],
-    row: item.line,
-    column: item.column + 1,
-    text: item.message,
-  }))
 }
 
-function runSolium (code, option) {
-  let result
-  try {
-    result = solium.lint(code, soliumRules)
-  } catch (e) {
-    console.warn(e)
-    return [{
-      type: 'error',
-      row: e.location.start.line,
-      column: e.location.start.column,
-      text: e.message,
-    }]
-  }
-  return result.map(item => ({
-    type: item.type,
-    row: item.line,
-    column: item.column + 1,
-    text: item.message
+function installSupport (option = {}) {
+  monaco.languages.registerCompletionItemProvider('solidity', new SolidityCompletionProvider())
+
+  monaco.languages.registerDefinitionProvider('solidity', new SolidityDefinitionProvider({
+    listOverrides: option.listOverrides,
   }))
-}
+  monaco.languages.registerHoverProvider('solidity', new SolidityHoverProvider())
+  monaco.languages.registerSignatureHelpProvider('solidity', new SoliditySignatureHelpProvider())
+  monaco.languages.registerReferenceProvider('solidity', new SolidityReferenceProvider())
+  monaco.languages.registerImplementationProvider('solidity', new SolidityImplementationProvider())
+  monaco.languages.registerRenameProvider('solidity', new SolidityRenameProvider())
+  monaco.languages.registerCodeActionProvider('solidity', new SolidityCodeActionProvider())
+  monaco.languages.registerDocumentSymbolProvider('solidity', new SolidityDocumentSymbolProvider())
+  monaco.languages.registerDocumentSemanticTokensProvider('solidity', new SoliditySemanticTokensProvider())
+  if (option.semanticHighlighting) {
+    // off by default in monaco, as semantic tokens take the default color in themes without rules for them
+    StaticServices.configurationService.get().updateValues([['editor.semanticHighlighting', { enabled: true }]])
+  }
+
+  // lenses run global commands, not the actions of an editor
+  const codeLensProvider = new SolidityCodeLensProvider()
+  monaco.languages.registerCodeLensProvider('solidity', codeLensProvider)
+  CommandsRegistry.registerCommand(STORAGE_LAYOUT_COMMAND, (accessor, uri, contractName) =>
+    codeLensProvider.pickStorageLayout(uri, contractName)
+  )
 
-function installSupport () {
-  monaco.languages.registerCompletionItemProvider('solidity', {
-    provideCompletionItems() {
-      return {
-        suggestions: snippets,
-        dispose () {},
-      }
-    }
+  // `option.format` overrides the options of the formatter, see `DEFAULT_FORMAT_OPTIONS`
+  formattingProvider = new SolidityFormattingProvider({ linter: option.linter, format: option.format })
+  monaco.languages.registerDocumentFormattingEditProvider('solidity', formattingProvider)
+  monaco.languages.registerDocumentRangeFormattingEditProvider('solidity', formattingProvider)
+  monaco.languages.registerOnTypeFormattingEditProvider('solidity', formattingProvider)
+
+  // monaco has no workspace symbol provider, type hierarchy nor call hierarchy, add "Go to Symbol in Workspace",
+  // "Show Type Hierarchy" and "Show Call Hierarchy" to every editor instead
+  const workspaceSymbolProvider = new SolidityWorkspaceSymbolProvider()
+  const typeHierarchy = new SolidityTypeHierarchy()
+  const callHierarchyProvider = new SolidityCallHierarchyProvider()
+  monaco.editor.onDidCreateEditor(editor => {
+    // the editor is still being constructed
+    Promise.resolve().then(() => {
+      editor.addAction({
+        id: 'solidity.action.workspaceSymbols',
+        label: 'Go to Symbol in Workspace...',
+        keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyCode.KEY_T],
+        precondition: 'editorLangId == solidity',
+        run: editor => workspaceSymbolProvider.pickSymbol(editor),
+      })
+      editor.addAction({
+        id: 'solidity.action.typeHierarchy',
+        label: 'Show Type Hierarchy',
+        precondition: 'editorLangId == solidity',
+        contextMenuGroupId: 'navigation',
+        contextMenuOrder: 1.6,
+        run: editor => typeHierarchy.pickType(editor),
+      })
+      editor.addAction({
+        id: 'solidity.action.callHierarchy',
+        label: 'Show Call Hierarchy',
+        keybindings: [monaco.KeyMod.Shift | monaco.KeyMod.Alt | monaco.KeyCode.KEY_H],
+        precondition: 'editorLangId == solidity',
+        contextMenuGroupId: 'navigation',
+        contextMenuOrder: 1.7,
+        run: editor => callHierarchyProvider.pickCalls(editor),
+      })
+    })
   })
 
-  monaco.languages.registerDefinitionProvider('solidity', new SolidityDefinitionProvider())
+  // imports resolved with the old remappings may now resolve elsewhere
+  watchImportConfig(() => symbolIndex.forgetImports())
+
+  // markers are published for the Solidity models shown in an editor, linted with `option.linter` and compiled with
+  // the solc-js builds in `option.solcFolder`
+  diagnostics = new SolidityDiagnostics(option)
+  diagnostics.install()
 }
 
 export default {
   lint,
+  setLintOption,
   installSupport,
-} 
\ No newline at end of file
+  resolveImportPath,
+}
@@ -0,0 +1,16 @@
+import { lint } from './linter'
+import { findSyntaxErrors } from './syntax'
+
+// lint requests from SolidityDiagnostics, answered with the same id. Code is linted only when there is an option.
+self.onmessage = ({ data }) => {
+  const { id, code, option } = data
+  try {
+    self.postMessage({
+      id,
+      syntaxErrors: findSyntaxErrors(code),
+      diagnostics: (option && lint(code, option)) || [],
+    })
+  } catch (e) {
+    self.postMessage({ id, error: e.message })
+  }
+}
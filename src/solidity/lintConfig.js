@@ -0,0 +1,180 @@
+import { BaseProjectManager } from '@obsidians/workspace'
+
+import { ANALYZER_RULES } from './analyzer'
+import { loadProjectConfig, watchProjectConfig } from './projectConfig'
+
+const LINT_CONFIG_FILES = [
+  '.solhint.json', '.solhintignore', '.soliumrc.json', '.soliumignore', '.analyzerrc.json', '.analyzerignore',
+]
+
+// solium plugins bundled with solium itself, other plugins cannot be loaded in the editor
+const SOLIUM_PLUGINS = ['security']
+
+/**
+ * Load the linter config of the project: `.solhint.json` with its `extends` resolved, `.soliumrc.json`,
+ * `.analyzerrc.json` for the severities of the security analyzer, and the ignore patterns of `.solhintignore`,
+ * `.soliumignore` and `.analyzerignore`. A linter without a project config uses the bundled one.
+ *
+ * @returns {Promise<{ solhint?: *, solium?: *, analyzer?: *, ignore: { solhint: string[], solium: string[], analyzer: string[] }, errors: Array<{ linter: string, file: string, message: string }> }>}
+ * `errors` explains the parts of the config that cannot be used
+ */
+export function loadLintConfig () {
+  return loadProjectConfig('lint', async read => {
+    const errors = []
+    const [solhintJson, solhintIgnore, soliumJson, soliumIgnore, analyzerJson, analyzerIgnore] = await Promise.all(
+      LINT_CONFIG_FILES.map(read),
+    )
+
+    let solhint
+    if (solhintJson !== undefined) {
+      try {
+        solhint = await resolveSolhintConfig(JSON.parse(solhintJson), '.solhint.json', read, errors)
+      } catch (e) {
+        errors.push({ linter: 'solhint', file: '.solhint.json', message: e.message })
+      }
+    }
+
+    let solium
+    if (soliumJson !== undefined) {
+      try {
+        solium = JSON.parse(soliumJson)
+        const plugins = [].concat(solium.plugins || [])
+        plugins.filter(plugin => !SOLIUM_PLUGINS.includes(plugin)).forEach(plugin => {
+          errors.push({ linter: 'solium', file: '.soliumrc.json', message: `Plugin '${plugin}' cannot be loaded in the editor.` })
+        })
+        solium.plugins = plugins.filter(plugin => SOLIUM_PLUGINS.includes(plugin))
+      } catch (e) {
+        errors.push({ linter: 'solium', file: '.soliumrc.json', message: e.message })
+      }
+    }
+
+    let analyzer
+    if (analyzerJson !== undefined) {
+      try {
+        analyzer = JSON.parse(analyzerJson)
+        Object.keys(analyzer.rules || {}).filter(rule => !ANALYZER_RULES[rule]).forEach(rule => {
+          errors.push({ linter: 'analyzer', file: '.analyzerrc.json', message: `Unknown rule '${rule}'.` })
+        })
+      } catch (e) {
+        errors.push({ linter: 'analyzer', file: '.analyzerrc.json', message: e.message })
+      }
+    }
+
+    return {
+      solhint,
+      solium,
+      analyzer,
+      ignore: {
+        solhint: parseIgnore(solhintIgnore),
+        solium: parseIgnore(soliumIgnore),
+        analyzer: parseIgnore(analyzerIgnore),
+      },
+      errors,
+    }
+  })
+}
+
+/**
+ * Watch the linter config files of the project
+ *
+ * @param {Function} onChange called when a config file is opened or edited
+ * @returns {monaco.IDisposable}
+ */
+export function watchLintConfig (onChange) {
+  return watchProjectConfig(LINT_CONFIG_FILES, onChange)
+}
+
+/**
+ * Whether a file is ignored by the patterns of an ignore file, which follow the `.gitignore` format
+ *
+ * @param {string[]} patterns
+ * @param {string} filePath absolute path of the file
+ * @returns {boolean}
+ */
+export function isIgnored (patterns, filePath) {
+  const { path, projectRoot } = BaseProjectManager.instance
+  const relativePath = path.relative(projectRoot, filePath)
+  let ignored = false
+  patterns.forEach(pattern => {
+    const negated = pattern.startsWith('!')
+    if (globToRegExp(negated ? pattern.slice(1) : pattern).test(relativePath)) {
+      ignored = !negated
+    }
+  })
+  return ignored
+}
+
+/**
+ * Resolve `extends` of a solhint config. Presets of solhint e.g. `solhint:recommended` are left to solhint, other
+ * JSON configs in the project or in `node_modules` are merged in, the config's own rules taking precedence.
+ *
+ * @param {*} config
+ * @param {string} file the file where the config comes from, for error messages
+ * @param {Function} read see `loadProjectConfig`
+ * @param {Array<any>} errors
+ * @param {string[]} visited files already merged, to stop at circular extends
+ * @returns {Promise<*>} the config with the remaining `extends`
+ */
+async function resolveSolhintConfig (config, file, read, errors, visited = [file]) {
+  const presets = []
+  let rules = {}
+  for (const name of [].concat(config.extends || [])) {
+    if (name.startsWith('solhint:')) {
+      presets.push(name)
+      continue
+    }
+    const extendedFile = name.startsWith('.') || name.endsWith('.json')
+      ? name
+      : `node_modules/${name.startsWith('solhint-config-') ? name : `solhint-config-${name}`}/index.json`
+    const content = !visited.includes(extendedFile) && await read(extendedFile)
+    if (!content) {
+      errors.push({ linter: 'solhint', file, message: `Cannot load '${name}', only presets of solhint and JSON configs can be extended in the editor.` })
+      continue
+    }
+    try {
+      const extended = await resolveSolhintConfig(JSON.parse(content), extendedFile, read, errors, [...visited, extendedFile])
+      presets.push(...[].concat(extended.extends || []))
+      rules = { ...rules, ...extended.rules }
+    } catch (e) {
+      errors.push({ linter: 'solhint', file: extendedFile, message: e.message })
+    }
+  }
+
+  const plugins = [].concat(config.plugins || [])
+  plugins.forEach(plugin => {
+    errors.push({ linter: 'solhint', file, message: `Plugin '${plugin}' cannot be loaded in the editor, its rules are skipped.` })
+  })
+  rules = { ...rules, ...config.rules }
+  Object.keys(rules)
+    .filter(rule => plugins.some(plugin => rule.startsWith(`${plugin}/`)))
+    .forEach(rule => delete rules[rule])
+
+  return { ...config, extends: presets, plugins: [], rules }
+}
+
+function parseIgnore (content) {
+  return (content || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+}
+
+function globToRegExp (pattern) {
+  // a pattern without slash other than a trailing one matches at any depth
+  const anchored = pattern.replace(/\/$/, '').includes('/')
+  const directory = pattern.endsWith('/')
+  const source = pattern
+    .replace(/^\//, '')
+    .replace(/\/$/, '')
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    // `**` matches any folders, or anything at the end, `*` and `?` stay within one folder
+    .replace(/\*\*\/?|\*|\?/g, (wildcard, offset, string) => {
+      if (wildcard === '?') {
+        return '[^/]'
+      } else if (wildcard === '*') {
+        return '[^/]*'
+      }
+      return offset + wildcard.length === string.length ? '.*' : '(?:.*/)?'
+    })
+  return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}${directory ? '/' : '(?:/|$)'}`)
+}
@@ -0,0 +1,128 @@
+import solhint from 'solhint'
+import solium from 'solium'
+
+import { analyze, ANALYZER_RULES } from './analyzer'
+import solhintRules from './solhint.json'
+import soliumRules from './soliumrc.json'
+
+const severityTypes = {
+  2: 'error',
+  3: 'warning',
+}
+
+// solhint documents its rules by category
+const SOLHINT_CATEGORIES = {
+  'best-practices': [
+    'code-complexity', 'explicit-types', 'function-max-lines', 'max-line-length', 'max-states-count', 'no-console',
+    'no-empty-blocks', 'no-global-import', 'no-unused-import', 'no-unused-vars', 'one-contract-per-file',
+    'payable-fallback', 'reason-string',
+  ],
+  deprecations: ['constructor-syntax'],
+  miscellaneous: ['comprehensive-interface', 'quotes'],
+  naming: [
+    'const-name-snakecase', 'contract-name-camelcase', 'event-name-camelcase', 'func-name-mixedcase',
+    'func-param-name-mixedcase', 'modifier-name-mixedcase', 'private-vars-leading-underscore', 'use-forbidden-name',
+    'var-name-mixedcase', 'immutable-vars-naming',
+  ],
+  order: ['imports-on-top', 'ordering', 'visibility-modifier-order'],
+  security: [
+    'avoid-call-value', 'avoid-low-level-calls', 'avoid-sha3', 'avoid-suicide', 'avoid-throw', 'avoid-tx-origin',
+    'check-send-result', 'compiler-version', 'func-visibility', 'mark-callable-contracts', 'multiple-sends',
+    'no-complex-fallback', 'no-inline-assembly', 'not-rely-on-block-hash', 'not-rely-on-time', 'reentrancy',
+    'state-visibility',
+  ],
+}
+
+/**
+ * Lint code with the linter selected in option
+ *
+ * @param {string} code Solidity source code
+ * @param {{ linter: string, solcVersion?: string, config?: * }} option `linter` is `solhint`, `solium` or `analyzer`,
+ * the built-in security analyzer. `config` is the project's config of the linter, which replaces the bundled one, or
+ * overrides the bundled severities for `analyzer`
+ * @returns {Array<{ type: string, row: number, column: number, text: string, rule?: string, endRow?: number, endColumn?: number }>}
+ * diagnostics with 1-based rows and columns
+ */
+export function lint (code, option) {
+  if (option.linter === 'solhint') {
+    return runSolhint(code, option)
+  } else if (option.linter === 'solium') {
+    return runSolium(code, option)
+  } else if (option.linter === 'analyzer') {
+    return analyze(code, option.config)
+  }
+}
+
+/**
+ * Link to the documentation of a rule
+ *
+ * @param {string} linter `solhint`, `solium` or `analyzer`
+ * @param {string} rule rule ID e.g. `avoid-tx-origin`, `security/no-call-value`
+ * @returns {string} the URL, or undefined for an unknown rule
+ */
+export function ruleDocsUrl (linter, rule) {
+  if (linter === 'solhint') {
+    const category = Object.keys(SOLHINT_CATEGORIES).find(category => SOLHINT_CATEGORIES[category].includes(rule))
+    return category
+      ? `https://github.com/protofire/solhint/blob/master/docs/rules/${category}/${rule}.md`
+      : 'https://github.com/protofire/solhint/blob/master/docs/rules.md'
+  } else if (linter === 'solium') {
+    return rule.startsWith('security/')
+      ? 'https://github.com/duaraghav8/solium-plugin-security#list-of-rules'
+      : 'https://ethlint.readthedocs.io/en/latest/user-guide.html#list-of-style-rules'
+  } else if (linter === 'analyzer') {
+    return ANALYZER_RULES[rule] && `https://swcregistry.io/docs/SWC-${ANALYZER_RULES[rule]}`
+  }
+}
+
+function runSolhint (code, option) {
+  const config = option.config || solhintRules
+  const rules = { ...config.rules }
+  // the project's own compiler-version rule wins over the version selected in the IDE
+  if (option.solcVersion && !(option.config && rules['compiler-version'])) {
+    rules['compiler-version'] = ['error', option.solcVersion]
+  }
+  const result = solhint.processStr(code, { ...config, rules })
+  return result.reports.map(item => ({
+    type: severityTypes[item.severity],
+    row: item.line,
+    column: item.column + 1,
+    text: item.message,
+    rule: item.ruleId,
+  }))
+}
+
+function runSolium (code, option) {
+  let result
+  try {
+    result = solium.lint(code, option.config || soliumRules)
+  } catch (e) {
+    console.warn(e)
+    // syntax errors have a location, an invalid config does not
+    const { start } = e.location || { start: { line: 1, column: 1 } }
+    return [{
+      type: 'error',
+      row: start.line,
+      column: start.column,
+      text: e.message,
+    }]
+  }
+  return result.map(item => {
+    const diagnostic = {
+      type: item.type,
+      row: item.line,
+      column: item.column + 1,
+      text: item.message,
+      rule: item.ruleName,
+    }
+    // the node is reported for most rules, use its end when it is on the same line
+    if (item.node && typeof item.node.end === 'number') {
+      const text = code.slice(item.node.start, item.node.end)
+      if (!text.includes('\n') && code.slice(0, item.node.start).split('\n').length === item.line) {
+        diagnostic.endRow = item.line
+        diagnostic.endColumn = item.node.end - code.lastIndexOf('\n', item.node.start - 1)
+      }
+    }
+    return diagnostic
+  })
+}
@@ -0,0 +1,64 @@
+/**
+ * Parse the NatSpec comment right above a declaration, either consecutive `///` lines or a `/** ... *\/` block.
+ * Untagged text is treated as `@notice`.
+ *
+ * @param {string} code code of the file where the node belongs
+ * @param {*} node declaration node
+ * @returns {{ title?: string, author?: string, notice?: string, dev?: string, inheritdoc?: string,
+ * params: Object<string, string>, returns: string[] }}
+ */
+export function parseNatSpec (code, node) {
+  const natspec = { params: {}, returns: [] }
+  const lines = commentLines(code.slice(0, node.start).trimEnd())
+
+  let tag = 'notice'
+  let key
+  lines.forEach(line => {
+    const match = /^@(\w+)\s*(.*)$/.exec(line)
+    let text = line
+    if (match) {
+      tag = match[1]
+      text = match[2]
+      if (tag === 'param') {
+        [key, text = ''] = text.split(/\s+(.*)/)
+        natspec.params[key] = ''
+      } else if (tag === 'return') {
+        natspec.returns.push('')
+      }
+    }
+    if (!text) {
+      return
+    }
+    if (tag === 'param') {
+      natspec.params[key] = join(natspec.params[key], text)
+    } else if (tag === 'return') {
+      natspec.returns[natspec.returns.length - 1] = join(natspec.returns[natspec.returns.length - 1], text)
+    } else {
+      natspec[tag] = join(natspec[tag], text)
+    }
+  })
+  return natspec
+}
+
+function commentLines (before) {
+  if (before.endsWith('*/')) {
+    const start = before.lastIndexOf('/**')
+    if (start === -1 || before.slice(start, -2).includes('*/')) {
+      return []
+    }
+    return before.slice(start + 3, -2)
+      .split('\n')
+      .map(line => line.replace(/^\s*\*?\s?/, '').trim())
+  }
+
+  const lines = []
+  const all = before.split('\n')
+  for (let i = all.length - 1; i >= 0 && all[i].trim().startsWith('///'); i--) {
+    lines.unshift(all[i].trim().replace(/^\/\/\/\s?/, '').trim())
+  }
+  return lines
+}
+
+function join (text, line) {
+  return text ? `${text} ${line}` : line
+}
@@ -0,0 +1,97 @@
+import { BaseProjectManager } from '@obsidians/workspace'
+
+import Contract from './Contract'
+import symbolIndex from './SymbolIndex'
+
+const IGNORED_FOLDERS = ['.git', 'node_modules', 'build', 'artifacts', 'cache', 'out']
+
+/**
+ * List every Solidity file under a folder recursively, skipping dependency and build folders
+ *
+ * @param {string} folderPath folder to search, defaults to the project root
+ * @returns {Promise<string[]>} absolute paths of the *.sol files
+ */
+export async function listSolidityFiles (folderPath = BaseProjectManager.instance.projectRoot) {
+  let items
+  try {
+    items = await BaseProjectManager.instance.readDirectory(folderPath)
+  } catch (e) {
+    console.warn(e)
+    return []
+  }
+
+  const files = []
+  for (const item of items) {
+    if (item.type === 'folder') {
+      if (!IGNORED_FOLDERS.includes(item.name)) {
+        files.push(...await listSolidityFiles(item.path))
+      }
+    } else if (item.path.endsWith('.sol')) {
+      files.push(item.path)
+    }
+  }
+  return files
+}
+
+/**
+ * Load and parse every Solidity file in the project. Files that cannot be parsed are left out.
+ *
+ * @returns {Promise<Array<{ model: monaco.editor.ITextModel, statements: Array<any> }>>}
+ */
+export async function loadProjectSources () {
+  const sources = []
+  for (const filePath of await listSolidityFiles()) {
+    const source = await symbolIndex.loadSource(filePath)
+    if (source) {
+      sources.push(source)
+    }
+  }
+  return sources
+}
+
+/**
+ * Load every Solidity file in the project and every file they import, including dependencies outside the project
+ *
+ * @returns {Promise<Array<{ model: monaco.editor.ITextModel, statements: Array<any> }>>}
+ */
+export async function loadWorkspaceSources () {
+  const sources = new Map()
+  for (const source of await loadProjectSources()) {
+    for (const imported of await Contract.importAll(source.model, source.statements)) {
+      sources.set(imported.model.uri.toString(), imported)
+    }
+  }
+  return [...sources.values()]
+}
+
+/**
+ * Find the sources that import a file, directly or indirectly
+ *
+ * @param {Array<{ model: monaco.editor.ITextModel, statements: Array<any> }>} sources sources to search through
+ * @param {string} filePath path of the imported file
+ * @returns {Promise<Array<{ model: monaco.editor.ITextModel, statements: Array<any> }>>} the dependents, not including
+ * the file itself
+ */
+export async function findDependents (sources, filePath) {
+  const importedBy = new Map()
+  for (const source of sources) {
+    for (const importedPath of await symbolIndex.resolveImports(source.model, source.statements)) {
+      if (!importedBy.has(importedPath)) {
+        importedBy.set(importedPath, new Set())
+      }
+      importedBy.get(importedPath).add(source)
+    }
+  }
+
+  const dependents = new Set()
+  const queue = [filePath]
+  while (queue.length) {
+    for (const source of importedBy.get(queue.shift()) || []) {
+      if (!dependents.has(source) && source.model.uri.path !== filePath) {
+        dependents.add(source)
+        queue.push(source.model.uri.path)
+      }
+    }
+  }
+  return [...dependents]
+}
@@ -0,0 +1,77 @@
+import * as monaco from 'monaco-editor'
+
+import { BaseProjectManager } from '@obsidians/workspace'
+import { modelSessionManager } from '@obsidians/code-editor'
+
+// loaded configs by project root and name, with the models they were read from
+const configs = new Map()
+
+/**
+ * Load a config from files in the project root. Files are read through their model sessions, and the config is
+ * cached until one of the files it was read from changes.
+ *
+ * @param {string} name name of the config, used as cache key
+ * @param {Function} build builds the config with `read(fileName)`, which resolves to the content of a file in the
+ * project root, or undefined if it does not exist
+ * @returns {Promise<*>} the config
+ */
+export async function loadProjectConfig (name, build) {
+  const { path, projectRoot } = BaseProjectManager.instance
+  const key = `${projectRoot}:${name}`
+  const cached = configs.get(key)
+  if (cached && cached.models.every(({ model, versionId }) => model.getVersionId() === versionId)) {
+    return cached.config
+  }
+
+  const models = []
+  const read = async fileName => {
+    const filePath = path.join(projectRoot, fileName)
+    if (!await BaseProjectManager.instance.isFile(filePath)) {
+      return
+    }
+    const { model } = await modelSessionManager.newModelSession(filePath)
+    models.push({ model, versionId: model.getVersionId() })
+    return model.getValue()
+  }
+
+  const config = await build(read)
+  configs.set(key, { models, config })
+  return config
+}
+
+/**
+ * Watch config files in the project root. Loaded configs are forgotten when one of the files is opened as a model,
+ * so newly created files are picked up, and `onChange` is called when the file is opened or edited.
+ *
+ * @param {string[]} fileNames
+ * @param {Function} onChange
+ * @returns {monaco.IDisposable} stops watching, including the files already opened
+ */
+export function watchProjectConfig (fileNames, onChange = () => {}) {
+  // listeners of each opened config file
+  const watchers = new Map()
+  const onDidCreateModel = monaco.editor.onDidCreateModel(model => {
+    const { path, projectRoot } = BaseProjectManager.instance
+    if (!fileNames.some(fileName => model.uri.path === path.join(projectRoot, fileName))) {
+      return
+    }
+    Array.from(configs.keys())
+      .filter(key => key.startsWith(`${projectRoot}:`))
+      .forEach(key => configs.delete(key))
+    watchers.set(model, [
+      model.onDidChangeContent(() => onChange()),
+      model.onWillDispose(() => {
+        watchers.get(model).forEach(disposable => disposable.dispose())
+        watchers.delete(model)
+      }),
+    ])
+    onChange()
+  })
+  return {
+    dispose () {
+      onDidCreateModel.dispose()
+      watchers.forEach(disposables => disposables.forEach(disposable => disposable.dispose()))
+      watchers.clear()
+    },
+  }
+}
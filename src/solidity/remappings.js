@@ -0,0 +1,165 @@
+import { BaseProjectManager } from '@obsidians/workspace'
+
+import { loadProjectConfig, watchProjectConfig } from './projectConfig'
+
+// files at the project root where remappings and library folders are configured
+const CONFIG_FILES = ['remappings.txt', 'foundry.toml', 'config.json']
+
+// library folders searched when the project does not configure any
+const DEFAULT_LIBS = ['node_modules', 'lib']
+
+/**
+ * Parse remappings in solc format i.e. `[context:]prefix=target`, one per line or per array element
+ *
+ * @param {string[]} lines
+ * @returns {Array<{ context: string, prefix: string, target: string }>}
+ */
+export function parseRemappings (lines) {
+  return lines
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#') && line.includes('='))
+    .map(line => {
+      const index = line.indexOf('=')
+      const left = line.slice(0, index)
+      const colon = left.indexOf(':')
+      return {
+        context: colon === -1 ? '' : left.slice(0, colon),
+        prefix: colon === -1 ? left : left.slice(colon + 1),
+        target: line.slice(index + 1),
+      }
+    })
+}
+
+/**
+ * Apply the remapping that matches an import the way solc does: the longest context wins, then the longest prefix
+ *
+ * @param {Array<{ context: string, prefix: string, target: string }>} remappings
+ * @param {string} context path of the importing file relative to the project root
+ * @param {string} importPath
+ * @returns {string} the remapped import path, or the import path itself when no remapping matches
+ */
+export function applyRemappings (remappings, context, importPath) {
+  let best
+  remappings.forEach(remapping => {
+    if (!context.startsWith(remapping.context) || !importPath.startsWith(remapping.prefix)) {
+      return
+    }
+    if (
+      !best ||
+      remapping.context.length > best.context.length ||
+      (remapping.context.length === best.context.length && remapping.prefix.length >= best.prefix.length)
+    ) {
+      best = remapping
+    }
+  })
+  return best ? best.target + importPath.slice(best.prefix.length) : importPath
+}
+
+/**
+ * Load the import config of the project from `remappings.txt`, the `remappings` and `libs` of `foundry.toml`, and
+ * the `remappings` and `libs` of the project's `config.json`. The config is cached until one of these files changes.
+ *
+ * @returns {Promise<{ remappings: Array<any>, libs: string[] }>}
+ */
+export function loadImportConfig () {
+  return loadProjectConfig('imports', async read => {
+    const remappings = []
+    let libs
+    const [remappingsTxt, foundryToml, configJson] = await Promise.all(CONFIG_FILES.map(read))
+    if (remappingsTxt) {
+      remappings.push(...parseRemappings(remappingsTxt.split(/\r?\n/)))
+    }
+    if (foundryToml) {
+      remappings.push(...parseRemappings(readTomlArray(foundryToml, 'remappings')))
+      const foundryLibs = readTomlArray(foundryToml, 'libs')
+      libs = foundryLibs.length ? foundryLibs : undefined
+    }
+    if (configJson) {
+      try {
+        const config = JSON.parse(configJson)
+        remappings.push(...parseRemappings(config.remappings || []))
+        libs = config.libs || libs
+      } catch (e) {
+        console.warn(e)
+      }
+    }
+    return { remappings, libs: libs || DEFAULT_LIBS }
+  })
+}
+
+/**
+ * Forget the loaded import config whenever a config file is opened as a model, so newly created files are picked up
+ *
+ * @param {Function} onChange called when a config file is opened or edited
+ * @returns {monaco.IDisposable}
+ */
+export function watchImportConfig (onChange) {
+  return watchProjectConfig(CONFIG_FILES, onChange)
+}
+
+/**
+ * Resolve import statement to absolute file path. Relative imports are resolved against the importing file. Other
+ * imports are remapped first, then searched in the project root, in `node_modules` of the importing file's folder
+ * and every folder above it up to the project root (as Hardhat does), and in the library folders, where a git
+ * submodule dependency e.g. `lib/forge-std` keeps its sources in `src` or `contracts`.
+ *
+ * @param {string} importPath import statement in *.sol contract
+ * @param {monaco.editor.ITextModel} model the model where the import statement belongs
+ * @returns {Promise<string>} the absolute path of the imported file, or undefined if it does not exist
+ */
+export async function resolveImportPath (importPath, model) {
+  const { path, projectRoot } = BaseProjectManager.instance
+  const candidates = []
+  if (path.isAbsolute(importPath)) {
+    candidates.push(importPath)
+  } else if (importPath.startsWith('.')) {
+    const { dir } = path.parse(model.uri.path)
+    candidates.push(path.join(dir, importPath))
+  } else {
+    const { remappings, libs } = await loadImportConfig()
+    const remapped = applyRemappings(remappings, path.relative(projectRoot, model.uri.path), importPath)
+    if (remapped !== importPath) {
+      candidates.push(path.isAbsolute(remapped) ? remapped : path.join(projectRoot, remapped))
+    }
+    candidates.push(path.join(projectRoot, importPath))
+    for (let dir = path.dirname(model.uri.path); dir.startsWith(projectRoot); dir = path.dirname(dir)) {
+      candidates.push(path.join(dir, 'node_modules', importPath))
+      if (dir === projectRoot) {
+        break
+      }
+    }
+    const [name, ...rest] = importPath.split('/')
+    libs.filter(lib => lib !== 'node_modules').forEach(lib => {
+      candidates.push(path.join(projectRoot, lib, importPath))
+      candidates.push(path.join(projectRoot, lib, name, 'src', ...rest))
+      candidates.push(path.join(projectRoot, lib, name, 'contracts', ...rest))
+    })
+  }
+
+  for (const candidate of candidates) {
+    if (await BaseProjectManager.instance.isFile(candidate)) {
+      return candidate
+    }
+  }
+}
+
+/**
+ * Read the strings of an array in a TOML file e.g. `remappings = ["a/=lib/a/"]`, in any table
+ *
+ * @param {string} toml
+ * @param {string} key
+ * @returns {string[]}
+ */
+function readTomlArray (toml, key) {
+  const match = new RegExp(`^\\s*${key}\\s*=\\s*\\[([^\\]]*)\\]`, 'm').exec(toml)
+  if (!match) {
+    return []
+  }
+  const values = []
+  const string = /"((?:[^"\\]|\\.)*)"|'([^']*)'/g
+  let value
+  while ((value = string.exec(match[1].replace(/#.*$/gm, '')))) {
+    values.push(value[1] !== undefined ? value[1] : value[2])
+  }
+  return values
+}
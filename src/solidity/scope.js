@@ -0,0 +1,61 @@
+import { walk } from './ast'
+
+/**
+ * Find the local variable or parameter a name refers to at offset, following Solidity's block scoping: a local
+ * variable is visible from its declaration to the end of the enclosing block, a `for` loop variable in the loop,
+ * `try` return parameters in the success block, catch parameters in their catch block, and parameters and return
+ * parameters in the whole function. When several declarations are visible, the innermost one shadows the others.
+ *
+ * @param {*} func function, modifier or constructor declaration surrounding offset
+ * @param {string} name name of the variable
+ * @param {number} offset offset where the name is used
+ * @returns {*} the `InformalParameter` or `DeclarativeExpression` node, if any
+ */
+export function findLocalDeclaration (func, name, offset) {
+  let found
+  let foundScope
+  walk(func, (node, ancestors) => {
+    if (node.type === 'Type') {
+      // parameters of function types are not variables
+      return false
+    }
+    const declaredName = node.type === 'InformalParameter' ? node.id : node.type === 'DeclarativeExpression' && node.name
+    if (declaredName !== name) {
+      return
+    }
+    const scope = declarationScope(node, ancestors, func)
+    if (scope.start <= offset && offset <= scope.end && (!foundScope || scope.start >= foundScope.start)) {
+      found = node
+      foundScope = scope
+    }
+  })
+  return found
+}
+
+/**
+ * @param {*} node `InformalParameter` or `DeclarativeExpression` node
+ * @param {Array<any>} ancestors ancestors of the node, outermost first
+ * @param {*} func function-like declaration where the node belongs
+ * @returns {{ start: number, end: number }} the range where the declaration is visible
+ */
+function declarationScope (node, ancestors, func) {
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    const ancestor = ancestors[i]
+    switch (ancestor.type) {
+      case 'BlockStatement':
+        return { start: node.start, end: ancestor.end }
+      case 'ForStatement':
+        return { start: node.start, end: ancestor.end }
+      case 'CatchClause':
+        return { start: node.start, end: ancestor.body.end }
+      case 'TryStatement':
+        if (ancestor.tryExpressionReturns === ancestors[i + 1]) {
+          return { start: node.start, end: ancestor.tryStatement.end }
+        }
+        break
+      default:
+        break
+    }
+  }
+  return { start: func.start, end: func.end }
+}
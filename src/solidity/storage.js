@@ -0,0 +1,211 @@
+import { walk } from './ast'
+import { findLocalDeclaration } from './scope'
+import { findUserType } from './types'
+
+const SLOT_SIZE = 32
+
+const LOOP_TYPES = ['ForStatement', 'WhileStatement', 'DoWhileStatement']
+
+/**
+ * Lay out the state variables of a contract in storage the way solc does: variables of the most base-like contract
+ * come first, each one is packed with the previous ones when it fits in the rest of their slot, and structs, arrays
+ * and mappings start a new slot and leave the rest of their last slot unused. Constants and immutables are not in
+ * storage.
+ *
+ * solparse drops the length of arrays sized by a constant e.g. `uint[N]`, they are laid out as dynamic arrays.
+ *
+ * @param {Array<any>} sources a source and its imports, as returned by `Contract.importAll`
+ * @param {Array<any>} chain contract followed by its ancestors, see `findInheritanceChain`
+ * @returns {{ variables: Array<{ node: *, contract: *, slot: number, offset: number, size: number, slots: number }>, gaps: Array<{ slot: number, offset: number, size: number }>, slots: number }}
+ * the position of each variable, with `size` in bytes for value types and `slots` taken by the others, the unused
+ * bytes left between variables, and the number of slots used
+ */
+export function computeStorageLayout (sources, chain) {
+  const declarations = []
+  chain.slice().reverse().forEach(contract => contract.body
+    .filter(element => element.type === 'StateVariableDeclaration' && !element.is_constant && !element.is_immutable)
+    .forEach(node => declarations.push({ node, contract }))
+  )
+  const layout = packVariables(declarations.map(({ node }) => typeLayout(node.literal, sources, chain)))
+  return {
+    variables: declarations.map(({ node, contract }, index) => ({ node, contract, ...layout.positions[index] })),
+    gaps: layout.gaps,
+    slots: layout.slots,
+  }
+}
+
+/**
+ * Count the reads and writes of state variables in a function, a rough hint of its gas cost as each one may be a
+ * SLOAD or a SSTORE. Compound assignments e.g. `total += amount` count as both.
+ *
+ * @param {*} func function, modifier or constructor declaration
+ * @param {Array<any>} chain contract followed by its ancestors, see `findInheritanceChain`
+ * @returns {{ reads: number, writes: number, inLoop: boolean }} `inLoop` tells whether some are made in a loop
+ */
+export function countStorageAccesses (func, chain) {
+  const names = new Set()
+  chain.forEach(contract => contract.body
+    .filter(element => element.type === 'StateVariableDeclaration' && !element.is_constant && !element.is_immutable)
+    .forEach(element => names.add(element.name))
+  )
+  const isStateVariable = node => node && node.type === 'Identifier' && names.has(node.name) &&
+    !findLocalDeclaration(func, node.name, node.start)
+
+  // the operator written with, by identifier
+  const writes = new Map()
+  const addWrite = (target, operator) => {
+    if (target && target.type === 'SequenceExpression') {
+      target.expressions.forEach(expression => addWrite(expression, operator))
+      return
+    }
+    while (target && target.type === 'MemberExpression') {
+      target = target.object
+    }
+    if (isStateVariable(target)) {
+      writes.set(target, operator)
+    }
+  }
+  walk(func.body, node => {
+    if (node.type === 'AssignmentExpression') {
+      addWrite(node.left, node.operator)
+    } else if (node.type === 'UpdateExpression') {
+      addWrite(node.argument, node.operator)
+    } else if (node.type === 'UnaryExpression' && node.operator === 'delete') {
+      addWrite(node.argument, 'delete')
+    }
+  })
+
+  const accesses = { reads: 0, writes: 0, inLoop: false }
+  walk(func.body, (node, ancestors) => {
+    const parent = ancestors[ancestors.length - 1]
+    // member names e.g. `sender` in `msg.sender`
+    const isMemberName = parent && parent.type === 'MemberExpression' && !parent.computed && parent.property === node
+    if (isMemberName || !isStateVariable(node)) {
+      return
+    }
+    const operator = writes.get(node)
+    if (operator) {
+      accesses.writes++
+    }
+    if (operator !== '=' && operator !== 'delete') {
+      accesses.reads++
+    }
+    accesses.inLoop = accesses.inLoop || ancestors.some(ancestor => LOOP_TYPES.includes(ancestor.type))
+  })
+  return accesses
+}
+
+/**
+ * @param {Array<{ size?: number, slots?: number }>} items layouts of the variables, in order
+ * @returns {{ positions: Array<{ slot: number, offset: number, size?: number, slots: number }>, gaps: Array<any>, slots: number }}
+ */
+function packVariables (items) {
+  const positions = []
+  const gaps = []
+  let slot = 0
+  let offset = 0
+  const nextSlot = () => {
+    if (offset > 0) {
+      if (offset < SLOT_SIZE) {
+        gaps.push({ slot, offset, size: SLOT_SIZE - offset })
+      }
+      slot++
+      offset = 0
+    }
+  }
+  items.forEach(item => {
+    if (item.size === undefined) {
+      nextSlot()
+      positions.push({ slot, offset: 0, slots: item.slots })
+      slot += item.slots
+      return
+    }
+    if (offset + item.size > SLOT_SIZE) {
+      nextSlot()
+    }
+    positions.push({ slot, offset, size: item.size, slots: 1 })
+    offset += item.size
+  })
+  // the rest of the last slot is free, not a gap
+  return { positions, gaps, slots: offset > 0 ? slot + 1 : slot }
+}
+
+/**
+ * @param {*} type `Type` node
+ * @param {Array<any>} sources
+ * @param {Array<any>} chain contract in scope followed by its ancestors, to find the types it declares
+ * @param {Array<any>} visiting structs being laid out, to stop at recursive structs
+ * @returns {{ size?: number, slots?: number }} `size` in bytes for value types, which are packed, `slots` for the
+ * others
+ */
+function typeLayout (type, sources, chain, visiting = []) {
+  let layout = baseTypeLayout(type, sources, chain, visiting)
+  for (const length of type.array_parts || []) {
+    if (typeof length !== 'number' && !/^\d+$/.test(length)) {
+      // dynamic arrays keep their length in their slot and their items elsewhere
+      layout = { slots: 1 }
+    } else if (layout.size !== undefined) {
+      const perSlot = Math.floor(SLOT_SIZE / layout.size)
+      layout = { slots: Math.ceil(Number(length) / perSlot) }
+    } else {
+      layout = { slots: layout.slots * Number(length) }
+    }
+  }
+  return layout
+}
+
+function baseTypeLayout (type, sources, chain, visiting) {
+  const name = type.literal
+  if (name instanceof Object || name === 'string' || name === 'bytes') {
+    // mappings, strings and bytes keep their data elsewhere, addressed by the hash of their slot
+    return { slots: 1 }
+  }
+  if (name === 'function') {
+    // an address and a selector, or an internal jump target
+    const isExternal = (type.modifiers || []).some(({ value }) => value === 'external')
+    return { size: isExternal ? 24 : 8 }
+  }
+  const elementary = elementarySize(name)
+  if (elementary) {
+    return { size: elementary }
+  }
+
+  const typeName = type.members && type.members.length ? type.members[type.members.length - 1] : name
+  const declaration = findUserType(sources, typeName, chain)
+  const node = declaration && declaration.node
+  if (!node) {
+    // unknown, assume a full slot
+    return { size: SLOT_SIZE }
+  } else if (node.type === 'EnumDeclaration') {
+    return { size: Math.max(1, Math.ceil(Math.log2(Math.max(node.members.length, 1)) / 8)) }
+  } else if (node.type === 'StructDeclaration') {
+    if (visiting.includes(node)) {
+      return { slots: 1 }
+    }
+    const fields = node.body.map(field => typeLayout(field.literal, sources, chain, [...visiting, node]))
+    return { slots: Math.max(packVariables(fields).slots, 1) }
+  }
+  // contracts and interfaces are addresses
+  return { size: 20 }
+}
+
+function elementarySize (name) {
+  if (name === 'bool' || name === 'byte') {
+    return 1
+  }
+  if (/^(address|address_payable|payable)$/.test(name)) {
+    return 20
+  }
+  let match = /^bytes(\d+)$/.exec(name)
+  if (match) {
+    return Number(match[1])
+  }
+  match = /^u?int(\d*)$/.exec(name)
+  if (match) {
+    return match[1] ? Number(match[1]) / 8 : 32
+  }
+  match = /^u?fixed(?:(\d+)x\d+)?$/.exec(name)
+  if (match) {
+    return match[1] ? Number(match[1]) / 8 : 16
+  }
+}
@@ -0,0 +1,229 @@
+import solparse from 'solparse-exp-jb'
+
+import { walk } from './ast'
+
+// syntax errors reported per file, later errors are mostly caused by the earlier ones
+const MAX_ERRORS = 20
+
+// more expected tokens than this are not worth listing
+const MAX_EXPECTED = 6
+
+/**
+ * Find the syntax errors of Solidity code. Parsing goes on after an error, with the missing `;` added or the
+ * statement blanked out, so every error of the file is reported rather than the first one only. Statements solparse
+ * accepts unfinished e.g. `b = ;` are reported too.
+ *
+ * @param {string} code Solidity source code
+ * @returns {Array<{ type: string, row: number, column: number, endRow: number, endColumn: number, text: string }>}
+ * diagnostics with 1-based rows and columns, like the ones of `lint`
+ */
+export function findSyntaxErrors (code) {
+  const errors = []
+  let source = code
+  let lastOffset = -1
+  while (errors.length < MAX_ERRORS) {
+    let result
+    try {
+      result = solparse.parse(source)
+    } catch (e) {
+      const error = e.location ? toSyntaxError(source, e) : findCrash(source)
+      if (!error || error.offset <= lastOffset) {
+        // no progress, the same cause would be reported again
+        break
+      }
+      lastOffset = error.offset
+      errors.push(error.diagnostic)
+      source = error.missingTerminator
+        ? insertTerminator(source, error.start, error.offset)
+        : blankStatement(source, error.offset)
+      continue
+    }
+    // solparse may split an unfinished statement in several adjacent ones e.g. `uint `, `a = ` and `1` for `uint a = 1`
+    const incomplete = []
+    walk(result.body, node => {
+      if (node.type === 'IncompleteStatement') {
+        incomplete.push({ start: node.start, end: node.end })
+      }
+    })
+    incomplete
+      .sort((a, b) => a.start - b.start)
+      .reduce((runs, node) => {
+        const run = runs[runs.length - 1]
+        if (run && run.end === node.start) {
+          run.end = node.end
+        } else {
+          runs.push(node)
+        }
+        return runs
+      }, [])
+      .forEach(({ start, end }) => errors.push(incompleteStatementError(source, start, end)))
+    break
+  }
+  return errors
+    .sort((a, b) => a.row - b.row || a.column - b.column)
+    .slice(0, MAX_ERRORS)
+}
+
+/**
+ * @param {string} code
+ * @param {*} e error thrown by solparse
+ * @returns {{ offset: number, start: number, missingTerminator: boolean, diagnostic: * }} the offset of the error,
+ * whether a `;` is missing at the end of the line before and where it would go, or undefined without a location
+ */
+function toSyntaxError (code, e) {
+  if (!e.location) {
+    return
+  }
+  const { offset } = e.location.start
+  const token = tokenAt(code, offset)
+  const expected = (e.expected || [])
+    .filter(item => item.type === 'literal')
+    .map(item => `'${item.text}'`)
+
+  let start = offset
+  let end = offset + Math.max(token.length, 1)
+  // a statement ending a line without `;` is reported where the next one starts, report it where `;` is missing
+  const previous = code.slice(0, offset).search(/\S\s*$/)
+  const missingTerminator = expected.includes('\';\'') && previous !== -1 &&
+    code.slice(previous, offset).includes('\n')
+  if (missingTerminator) {
+    start = previous
+    end = previous + 1
+  }
+
+  return {
+    offset,
+    start: end,
+    missingTerminator,
+    diagnostic: toDiagnostic(code, start, end, expected.length && expected.length <= MAX_EXPECTED
+      ? `Expected ${joinExpected(expected)}, found ${formatFound(token)}`
+      : `Unexpected ${formatFound(token)}`),
+  }
+}
+
+/**
+ * solparse fails without a location on a call without arguments that is not followed by `;` e.g. `foo() }`, where
+ * `;` is missing. The shortest part of the code that makes it fail ends there.
+ *
+ * @param {string} code
+ * @returns {{ offset: number, start: number, missingTerminator: boolean, diagnostic: * }} see `toSyntaxError`
+ */
+function findCrash (code) {
+  const crashes = length => {
+    try {
+      solparse.parse(code.slice(0, length))
+      return false
+    } catch (e) {
+      return !e.location
+    }
+  }
+  let low = 0
+  let high = code.length
+  while (high - low > 1) {
+    const middle = Math.floor((low + high) / 2)
+    if (crashes(middle)) {
+      high = middle
+    } else {
+      low = middle
+    }
+  }
+  const offset = high + code.slice(high).search(/\S|$/)
+  return {
+    offset,
+    start: high,
+    missingTerminator: true,
+    diagnostic: toDiagnostic(code, high - 1, high, `Expected ';', found ${formatFound(tokenAt(code, offset))}`),
+  }
+}
+
+/**
+ * Statements solparse accepts without their end: an assignment without value, a member access without member name,
+ * or an expression without `;`
+ */
+function incompleteStatementError (code, start, end) {
+  const last = start + code.slice(start, end).trimEnd().length
+  const next = last + code.slice(last).search(/\S|$/)
+  const token = tokenAt(code, next)
+  const tokenEnd = next + Math.max(token.length, 1)
+  if (code[last - 1] === '=') {
+    return toDiagnostic(code, next, tokenEnd, `Expected an expression, found ${formatFound(token)}`)
+  } else if (code[last - 1] === '.') {
+    return toDiagnostic(code, next, tokenEnd, `Expected a member name, found ${formatFound(token)}`)
+  }
+  return toDiagnostic(code, last - 1, last, `Expected ';', found ${formatFound(token)}`)
+}
+
+function toDiagnostic (code, start, end, text) {
+  const startPosition = positionAt(code, start)
+  const endPosition = positionAt(code, Math.max(end, start + 1))
+  return {
+    type: 'error',
+    row: startPosition.row,
+    column: startPosition.column,
+    endRow: endPosition.row,
+    endColumn: endPosition.column,
+    text,
+  }
+}
+
+function joinExpected (tokens) {
+  return tokens.length > 1 ? `${tokens.slice(0, -1).join(', ')} or ${tokens[tokens.length - 1]}` : tokens[0]
+}
+
+function formatFound (token) {
+  return token ? `'${token}'` : 'end of file'
+}
+
+function tokenAt (code, offset) {
+  const match = /^(?:[\w$]+|"(?:[^"\\\n]|\\.)*"?|'(?:[^'\\\n]|\\.)*'?|\S)/.exec(code.slice(offset))
+  return match ? match[0] : ''
+}
+
+function positionAt (code, offset) {
+  const before = code.slice(0, offset)
+  const lineStart = before.lastIndexOf('\n') + 1
+  return {
+    row: before.split('\n').length,
+    column: offset - lineStart + 1,
+  }
+}
+
+/**
+ * Blank out the statement where an error is, up to its `;` or the end of the line, keeping rows and columns. Braces
+ * without their pair in the statement are kept so that blocks stay balanced.
+ */
+function blankStatement (code, offset) {
+  const start = code.slice(0, offset).search(/[;{}][^;{}]*$/) + 1
+  const lineEnd = code.indexOf('\n', offset) === -1 ? code.length : code.indexOf('\n', offset)
+  const semicolon = code.indexOf(';', offset)
+  const end = semicolon !== -1 && semicolon < lineEnd ? semicolon + 1 : lineEnd
+  const statement = code.slice(start, end).split('')
+  const kept = new Set()
+  const opened = []
+  statement.forEach((char, index) => {
+    if (char === '{') {
+      opened.push(index)
+      kept.add(index)
+    } else if (char === '}') {
+      if (opened.length) {
+        kept.delete(opened.pop())
+      } else {
+        kept.add(index)
+      }
+    }
+  })
+  const blanked = statement.map((char, index) => kept.has(index) || /\s/.test(char) ? char : ' ').join('')
+  return code.slice(0, start) + blanked + code.slice(end)
+}
+
+/**
+ * Add the missing `;` in the whitespace between the end of a statement and the next one, keeping rows and columns.
+ * Without room for it, the statements are blanked out instead.
+ */
+function insertTerminator (code, start, offset) {
+  const space = code.slice(start, offset).search(/[ \t]/)
+  if (space === -1) {
+    return blankStatement(code, offset)
+  }
+  return code.slice(0, start + space) + ';' + code.slice(start + space + 1)
+}
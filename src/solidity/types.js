@@ -0,0 +1,576 @@
+import globals from './globals.json'
+import { elementaryTypeName } from './abi'
+import { findElementByOffset, findEnclosingFunction, indexDeclarations, typeToString } from './ast'
+import { findLocalDeclaration } from './scope'
+
+export const CONTAINER_TYPES = ['ContractStatement', 'InterfaceStatement', 'LibraryStatement']
+
+const USER_TYPES = [...CONTAINER_TYPES, 'StructDeclaration', 'EnumDeclaration']
+
+// members reachable through the name of a contract or library e.g. `Lib.f`, `MyContract.Struct`
+const STATIC_MEMBER_TYPES = [
+  'FunctionDeclaration',
+  'StructDeclaration',
+  'EnumDeclaration',
+  'EventDeclaration',
+  'ErrorDeclaration',
+  'StateVariableDeclaration',
+]
+
+// members reachable through an instance of a contract e.g. `token.transfer`, `token.totalSupply`
+const INSTANCE_MEMBER_TYPES = ['FunctionDeclaration', 'StateVariableDeclaration']
+
+export const ELEMENTARY_TYPE = /^(address|address_payable|payable|bool|string|byte|bytes\d*|u?int\d*|u?fixed[\dx]*)$/
+
+/**
+ * Find a top level declaration by name in the sources
+ *
+ * @param {Array<any>} sources a source and its imports, as returned by `Contract.importAll`
+ * @param {string} name
+ * @param {string[]} types accepted statement types
+ * @returns {{ node: *, source: * }} the declaration and the source where it belongs
+ */
+export function findDeclaration (sources, name, types) {
+  for (const source of sources) {
+    const declaration = (indexDeclarations(source.statements).byName.get(name) || [])
+      .find(({ node, container }) => !container && types.includes(node.type))
+    if (declaration) {
+      return { node: declaration.node, source }
+    }
+  }
+}
+
+/**
+ * Find the source where a top level statement or a contract member belongs
+ *
+ * @param {Array<any>} sources
+ * @param {*} node
+ * @returns {*} the source, if any
+ */
+export function findSource (sources, node) {
+  return sources.find(({ statements }) => indexDeclarations(statements).owners.has(node))
+}
+
+/**
+ * @param {Array<any>} sources
+ * @param {*} member
+ * @returns {*} the contract, library or interface the member is declared in, if any
+ */
+function findOwner (sources, member) {
+  return sources
+    .map(({ statements }) => indexDeclarations(statements).owners.get(member))
+    .find(owner => owner && owner !== member)
+}
+
+/**
+ * Find a struct, enum, contract, interface or library by name. Members of the contracts in `chain` come first, then
+ * top level declarations, then types declared in any contract.
+ *
+ * @param {Array<any>} sources
+ * @param {string} name
+ * @param {Array<any>} chain contract in scope followed by its ancestors
+ * @returns {{ node: *, source: * }}
+ */
+export function findUserType (sources, name, chain = []) {
+  for (const contract of chain) {
+    const node = contract.body.find(element => element.name === name && USER_TYPES.includes(element.type))
+    if (node) {
+      return { node, source: findSource(sources, contract) }
+    }
+  }
+  const declaration = findDeclaration(sources, name, USER_TYPES)
+  if (declaration) {
+    return declaration
+  }
+  for (const source of sources) {
+    const member = (indexDeclarations(source.statements).byName.get(name) || [])
+      .find(({ node, container }) => container && USER_TYPES.includes(node.type))
+    if (member) {
+      return { node: member.node, source }
+    }
+  }
+}
+
+/**
+ * Linearize the inheritance of a contract the way Solidity does, with C3 linearization. Bases are listed from the
+ * most base-like to the most derived in `is`, so the last one comes right after the contract itself.
+ *
+ * @param {Array<any>} sources
+ * @param {*} contract contract statement
+ * @param {Array<any>} visiting contracts being linearized, to stop at cyclic inheritance
+ * @returns {Array<any>} the contract followed by its ancestors, most derived first
+ */
+export function findInheritanceChain (sources, contract, visiting = []) {
+  if (visiting.includes(contract)) {
+    return [contract]
+  }
+  const bases = (contract.is || [])
+    .map(({ name }) => findDeclaration(sources, name, CONTAINER_TYPES))
+    .filter(Boolean)
+    .map(({ node }) => node)
+    .reverse()
+  const sequences = bases.map(base => findInheritanceChain(sources, base, [...visiting, contract]))
+  return [contract, ...mergeSequences([...sequences, bases])]
+}
+
+/**
+ * Find the members declared with a name in a contract and its ancestors. A function overridden in a more derived
+ * contract is left out, unless all overrides are asked for.
+ *
+ * @param {Array<any>} sources
+ * @param {Array<any>} chain contract followed by its ancestors, see `findInheritanceChain`
+ * @param {string} name name of the member
+ * @param {string[]} types accepted member types
+ * @param {boolean} allOverrides whether to keep overridden members
+ * @returns {Array<{ node: *, source: * }>} the declarations, most derived first
+ */
+export function findInheritedMembers (sources, chain, name, types, allOverrides = false) {
+  const members = []
+  const keys = new Set()
+  chain.forEach(contract => {
+    const source = findSource(sources, contract)
+    contract.body
+      .filter(element => element.name === name && types.includes(element.type))
+      .forEach(element => {
+        const key = signatureKey(element)
+        if (allOverrides || !keys.has(key)) {
+          keys.add(key)
+          members.push({ node: element, source })
+        }
+      })
+  })
+  return members
+}
+
+/**
+ * Find every declaration overriding or overridden by a member, in the ancestors and descendants of its contract
+ * among the sources
+ *
+ * @param {Array<any>} sources
+ * @param {*} member function, modifier or state variable declaration
+ * @returns {Array<{ node: *, source: * }>} the declarations including the member itself, ancestors of the declaring
+ * contract first
+ */
+export function findOverrides (sources, member) {
+  const contracts = Array.prototype.concat.apply([], sources.map(({ statements }) =>
+    statements.filter(element => CONTAINER_TYPES.includes(element.type))
+  ))
+  const owner = findOwner(sources, member)
+  if (!owner) {
+    return []
+  }
+  const hierarchy = findInheritanceChain(sources, owner).reverse()
+  contracts
+    .filter(contract => contract !== owner && findInheritanceChain(sources, contract).includes(owner))
+    .forEach(contract => hierarchy.push(contract))
+
+  const key = signatureKey(member)
+  const overrides = []
+  hierarchy.forEach(contract => {
+    const source = findSource(sources, contract)
+    contract.body
+      .filter(element => element.name === member.name && element.type === member.type && signatureKey(element) === key)
+      .forEach(node => overrides.push({ node, source }))
+  })
+  return overrides
+}
+
+/**
+ * Find the contracts and interfaces that inherit from a contract, directly or indirectly, among the sources
+ *
+ * @param {Array<any>} sources
+ * @param {*} contract contract or interface statement
+ * @returns {Array<{ node: *, source: *, bases: Array<any> }>} the descendants with their direct bases found in the
+ * sources, in the order of the sources
+ */
+export function findSubtypes (sources, contract) {
+  const subtypes = []
+  sources.forEach(source => source.statements
+    .filter(element => CONTAINER_TYPES.includes(element.type) && element !== contract)
+    .forEach(node => {
+      if (findInheritanceChain(sources, node).includes(contract)) {
+        const bases = (node.is || [])
+          .map(({ name }) => findDeclaration(sources, name, CONTAINER_TYPES))
+          .filter(Boolean)
+          .map(({ node }) => node)
+        subtypes.push({ node, source, bases })
+      }
+    })
+  )
+  return subtypes
+}
+
+/**
+ * Find the implementations of an interface or abstract function among the descendants of its contract: the
+ * overrides with a body, and the public state variables whose getter implements it
+ *
+ * @param {Array<any>} sources
+ * @param {*} member function declaration
+ * @returns {Array<{ node: *, source: * }>}
+ */
+export function findImplementations (sources, member) {
+  const owner = findOwner(sources, member)
+  if (!owner) {
+    return []
+  }
+  const key = signatureKey(member)
+  const implementations = []
+  findSubtypes(sources, owner).forEach(({ node: contract, source }) => {
+    contract.body
+      .filter(element => element.name === member.name && (
+        (element.type === 'FunctionDeclaration' && element.body && signatureKey(element) === key) ||
+        (element.type === 'StateVariableDeclaration' && element.visibility === 'public')
+      ))
+      .forEach(node => implementations.push({ node, source }))
+  })
+  return implementations
+}
+
+/**
+ * Find the contract and function surrounding offset, and the ancestors of the contract
+ *
+ * @param {Array<any>} sources current source and its imports
+ * @param {Array<any>} statements top level statements of the current source
+ * @param {number} offset
+ * @returns {{ contract?: *, chain: Array<any>, func?: *, offset: number }} `chain` is the contract followed by its
+ * ancestors
+ */
+export function findScope (sources, statements, offset) {
+  const contract = findElementByOffset(statements.filter(element => CONTAINER_TYPES.includes(element.type)), offset)
+  return {
+    contract,
+    chain: contract ? findInheritanceChain(sources, contract) : [],
+    func: findEnclosingFunction(statements, offset),
+    offset,
+  }
+}
+
+/**
+ * Resolve a `Type` node to the type it denotes
+ *
+ * @param {*} type `Type` node
+ * @param {*} scope see `findScope`
+ * @param {Array<any>} sources
+ * @returns {*} the inferred type, see `inferType`
+ */
+export function resolveType (type, scope, sources) {
+  if (!(type instanceof Object)) {
+    return
+  }
+  if (type.literal instanceof Object) {
+    return { kind: 'mapping', type }
+  }
+  if (type.array_parts && type.array_parts.length) {
+    return { kind: 'array', type }
+  }
+  if (ELEMENTARY_TYPE.test(type.literal)) {
+    return { kind: 'elementary', type }
+  }
+
+  let declaration = findUserType(sources, type.literal, scope.chain)
+  for (const member of type.members || []) {
+    // scoped type e.g. MyContract.Struct
+    const node = declaration && declaration.node.body instanceof Array &&
+      declaration.node.body.find(element => element.name === member && USER_TYPES.includes(element.type))
+    declaration = node && { node, source: declaration.source }
+  }
+  return declaration && toUserType(declaration.node, false)
+}
+
+/**
+ * Infer the type of an expression, as far as members can be looked up on it
+ *
+ * @param {*} expression
+ * @param {*} scope see `findScope`
+ * @param {Array<any>} sources
+ * @returns {{ kind: string, node?: *, type?: *, name?: string, isStatic?: boolean }} one of
+ *   - `contract`, `struct` and `enum` with the declaration as `node`. `isStatic` is true when the expression is the
+ *     name of the type itself e.g. `MyLibrary` in `MyLibrary.f()`
+ *   - `elementary`, `array` and `mapping` with the `Type` node as `type`
+ *   - `super` for the ancestors of the current contract
+ *   - `builtin` with the `name` of a global variable e.g. `msg`
+ */
+export function inferType (expression, scope, sources) {
+  switch (expression.type) {
+    case 'ThisExpression':
+      return scope.contract && { kind: 'contract', node: scope.contract }
+    case 'Identifier':
+      return inferIdentifierType(expression, scope, sources)
+    case 'NewExpression':
+      return resolveType(expression.callee, scope, sources)
+    case 'MemberExpression': {
+      const objectType = inferType(expression.object, scope, sources)
+      if (!objectType) {
+        return
+      }
+      if (expression.computed) {
+        // index access e.g. arr[i] map[k]
+        if (objectType.kind === 'array') {
+          const { type } = objectType
+          return resolveType({ ...type, array_parts: type.array_parts.slice(0, -1) }, scope, sources)
+        } else if (objectType.kind === 'mapping') {
+          return resolveType(objectType.type.literal.to, scope, sources)
+        }
+        return
+      }
+      const [member] = findMembers(objectType, expression.property.name, scope, sources)
+      if (!member) {
+        return
+      }
+      if (member.node.type === 'EnumDeclaration' && objectType.kind === 'enum') {
+        // enum value e.g. Status.Active
+        return { kind: 'enum', node: member.node }
+      }
+      return typeOfMember(member.node, scope, sources)
+    }
+    case 'CallExpression': {
+      const { callee } = expression
+      if (callee.type === 'Identifier') {
+        if (ELEMENTARY_TYPE.test(callee.name)) {
+          // type conversion e.g. address(x), payable(x)
+          const literal = callee.name === 'payable' ? 'address_payable' : callee.name
+          return { kind: 'elementary', type: { type: 'Type', literal, members: [], array_parts: [] } }
+        }
+        const userType = findUserType(sources, callee.name, scope.chain)
+        if (userType) {
+          // contract cast e.g. IERC20(token), or struct construction e.g. Point(1, 2)
+          return toUserType(userType.node, false)
+        }
+        const func = findMemberInChain(scope.chain, callee.name, ['FunctionDeclaration'])
+        return func && typeOfReturn(func, scope, sources)
+      }
+      if (callee.type === 'MemberExpression' && !callee.computed) {
+        const objectType = inferType(callee.object, scope, sources)
+        const [member] = objectType ? findMembers(objectType, callee.property.name, scope, sources) : []
+        if (!member) {
+          return
+        }
+        return member.node.type === 'FunctionDeclaration'
+          ? typeOfReturn(member.node, scope, sources)
+          // public getter of a state variable e.g. token.owner()
+          : typeOfMember(member.node, scope, sources)
+      }
+      break
+    }
+  }
+}
+
+/**
+ * Find the members of a type by name, including inherited members and functions attached with `using for`
+ *
+ * @param {*} objectType see `inferType`
+ * @param {string} name name of the member
+ * @param {*} scope see `findScope`
+ * @param {Array<any>} sources
+ * @returns {Array<{ node: *, source: * }>} the declarations of the members, nearest first
+ */
+export function findMembers (objectType, name, scope, sources) {
+  const members = []
+  const push = (node, source) => members.push({ node, source })
+
+  switch (objectType.kind) {
+    case 'contract': {
+      const chain = objectType.node.type === 'LibraryStatement'
+        ? [objectType.node]
+        : findInheritanceChain(sources, objectType.node)
+      const types = objectType.isStatic ? STATIC_MEMBER_TYPES : INSTANCE_MEMBER_TYPES
+      members.push(...findInheritedMembers(sources, chain, name, types))
+      break
+    }
+    case 'super':
+      // the next implementation after the current contract in its linearization
+      members.push(...findInheritedMembers(sources, scope.chain.slice(1), name, ['FunctionDeclaration', 'ModifierDeclaration']))
+      break
+    case 'struct': {
+      const source = findSource(sources, objectType.node)
+      objectType.node.body
+        .filter(field => field.name === name)
+        .forEach(field => push(field, source))
+      break
+    }
+    case 'enum':
+      if (objectType.isStatic && objectType.node.members.includes(name)) {
+        push(objectType.node, findSource(sources, objectType.node))
+      }
+      break
+    default:
+      break
+  }
+
+  if (!objectType.isStatic && objectType.kind !== 'builtin' && objectType.kind !== 'super') {
+    members.push(...findAttachedFunctions(objectType, scope, sources).filter(({ node }) => node.name === name))
+  }
+  return members
+}
+
+/**
+ * List the members of a type, see `findMembers`
+ *
+ * @param {*} objectType see `inferType`
+ * @param {*} scope see `findScope`
+ * @param {Array<any>} sources
+ * @returns {Array<{ node: *, source: * }>}
+ */
+export function listMembers (objectType, scope, sources) {
+  const names = new Set()
+  if (objectType.kind === 'contract') {
+    const chain = objectType.node.type === 'LibraryStatement'
+      ? [objectType.node]
+      : findInheritanceChain(sources, objectType.node)
+    const types = objectType.isStatic ? STATIC_MEMBER_TYPES : INSTANCE_MEMBER_TYPES
+    chain.forEach(contract => contract.body
+      .filter(element => element.name && types.includes(element.type))
+      .forEach(element => names.add(element.name))
+    )
+  } else if (objectType.kind === 'super') {
+    scope.chain.slice(1).forEach(contract => contract.body
+      .filter(element => element.name && element.type === 'FunctionDeclaration')
+      .forEach(element => names.add(element.name))
+    )
+  } else if (objectType.kind === 'struct') {
+    objectType.node.body.forEach(field => names.add(field.name))
+  }
+  if (!objectType.isStatic && objectType.kind !== 'builtin' && objectType.kind !== 'super') {
+    findAttachedFunctions(objectType, scope, sources).forEach(({ node }) => names.add(node.name))
+  }
+  return Array.prototype.concat.apply([],
+    [...names].map(name => findMembers(objectType, name, scope, sources).slice(0, 1))
+  )
+}
+
+/**
+ * Find library functions attached to a type with `using Library for Type` in the current contract and its ancestors
+ *
+ * @param {*} objectType see `inferType`
+ * @param {*} scope see `findScope`
+ * @param {Array<any>} sources
+ * @returns {Array<{ node: *, source: * }>}
+ */
+export function findAttachedFunctions (objectType, scope, sources) {
+  const typeName = objectType.node ? objectType.node.name : elementaryTypeName(typeToString(objectType.type))
+  const functions = []
+  const usings = [
+    ...sources[0].statements,
+    ...Array.prototype.concat.apply([], scope.chain.map(contract => contract.body)),
+  ].filter(element => element.type === 'UsingStatement')
+
+  usings.forEach(using => {
+    if (using.for instanceof Object) {
+      const forName = using.for.members && using.for.members.length
+        ? using.for.members[using.for.members.length - 1]
+        : elementaryTypeName(typeToString(using.for))
+      if (forName !== typeName) {
+        return
+      }
+    }
+    const library = findDeclaration(sources, using.library, ['LibraryStatement'])
+    if (library) {
+      library.node.body
+        .filter(element => element.type === 'FunctionDeclaration' && element.name)
+        .forEach(node => functions.push({ node, source: library.source }))
+    }
+  })
+  return functions
+}
+
+function inferIdentifierType (identifier, scope, sources) {
+  const { name } = identifier
+  if (name === 'this') {
+    return scope.contract && { kind: 'contract', node: scope.contract }
+  }
+  if (name === 'super') {
+    return { kind: 'super' }
+  }
+
+  const local = scope.func && findLocalDeclaration(scope.func, name, identifier.start)
+  if (local) {
+    return resolveType(local.literal, scope, sources)
+  }
+  const stateVariable = findMemberInChain(scope.chain, name, ['StateVariableDeclaration'])
+  if (stateVariable) {
+    return resolveType(stateVariable.literal, scope, sources)
+  }
+  if (globals.variables[name]) {
+    return { kind: 'builtin', name }
+  }
+  const userType = findUserType(sources, name, scope.chain)
+  if (userType) {
+    return toUserType(userType.node, true)
+  }
+}
+
+/**
+ * Merge linearized sequences, see https://docs.soliditylang.org/en/latest/contracts.html#multiple-inheritance-and-linearization
+ *
+ * @param {Array<Array<any>>} sequences
+ * @returns {Array<any>}
+ */
+function mergeSequences (sequences) {
+  const result = []
+  let remaining = sequences.filter(sequence => sequence.length)
+  while (remaining.length) {
+    const head = remaining
+      .map(sequence => sequence[0])
+      .find(candidate => !remaining.some(sequence => sequence.indexOf(candidate) > 0))
+    // solc rejects such an inheritance graph, take the first candidate so lookups keep working while typing
+    const next = head || remaining[0][0]
+    result.push(next)
+    remaining = remaining
+      .map(sequence => sequence.filter(element => element !== next))
+      .filter(sequence => sequence.length)
+  }
+  return result
+}
+
+/**
+ * Identify a member by name and parameter types, so overloaded functions are told apart from overridden ones
+ *
+ * @param {*} node
+ * @returns {string}
+ */
+function signatureKey (node) {
+  if (node.type !== 'FunctionDeclaration' && node.type !== 'ModifierDeclaration') {
+    return node.name
+  }
+  const params = node.params || []
+  return `${node.name}(${params.map(param => elementaryTypeName(typeToString(param.literal))).join(',')})`
+}
+
+function findMemberInChain (chain, name, types) {
+  for (const contract of chain) {
+    const node = contract.body.find(element => element.name === name && types.includes(element.type))
+    if (node) {
+      return node
+    }
+  }
+}
+
+function typeOfMember (node, scope, sources) {
+  switch (node.type) {
+    case 'StateVariableDeclaration':
+    case 'DeclarativeExpression':
+      return resolveType(node.literal, scope, sources)
+    case 'StructDeclaration':
+    case 'EnumDeclaration':
+    case 'ContractStatement':
+    case 'InterfaceStatement':
+    case 'LibraryStatement':
+      return toUserType(node, true)
+  }
+}
+
+function typeOfReturn (func, scope, sources) {
+  const returnParams = func.returnParams && func.returnParams.params
+  return returnParams && returnParams.length ? resolveType(returnParams[0].literal, scope, sources) : undefined
+}
+
+function toUserType (node, isStatic) {
+  switch (node.type) {
+    case 'StructDeclaration':
+      return { kind: 'struct', node, isStatic }
+    case 'EnumDeclaration':
+      return { kind: 'enum', node, isStatic }
+    default:
+      return { kind: 'contract', node, isStatic }
+  }
+}